@@ -1,6 +1,7 @@
 import QuickBooks from 'node-quickbooks';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
+import { instrumentQuickBooks } from './services/Metrics.js';
 
 dotenv.config();
 
@@ -20,7 +21,7 @@ export async function getQuickBooksInstance() {
 
     const isSandbox = ENV === 'sandbox';
 
-    qboInstance = new QuickBooks(
+    qboInstance = instrumentQuickBooks(new QuickBooks(
       CLIENT_ID,
       CLIENT_SECRET,
       access_token,
@@ -31,7 +32,7 @@ export async function getQuickBooksInstance() {
       null,          
       '2.0',         
       refresh_token
-    );
+    ));
 
     return qboInstance;
   } catch (err) {
@@ -0,0 +1,45 @@
+// apiKeys.js - Manage the API keys of gRPC callers
+//
+//   npm run api-keys -- create <name>   Create a key; it is printed once and not stored
+//   npm run api-keys -- revoke <name>   Reject the key from now on
+//   npm run api-keys -- list            List keys (without the keys themselves)
+import dotenv from 'dotenv';
+import AuthService from './services/AuthService.js';
+
+dotenv.config();
+
+const authService = new AuthService();
+const [command, name] = process.argv.slice(2);
+
+try {
+  switch (command) {
+    case 'create': {
+      if (!name) throw new Error('Usage: api-keys create <name>');
+      const { key } = await authService.createApiKey(name);
+      console.log(`🔑 API key for ${name} (send it as x-api-key; it will not be shown again):`);
+      console.log(key);
+      break;
+    }
+
+    case 'revoke':
+      if (!name) throw new Error('Usage: api-keys revoke <name>');
+      await authService.revokeApiKey(name);
+      console.log(`🚫 Revoked the API key of ${name}`);
+      break;
+
+    case 'list':
+      (await authService.listApiKeys()).forEach(apiKey => console.log([
+        apiKey.name,
+        `${apiKey.keyPrefix}…`,
+        apiKey.revokedAt ? `revoked ${apiKey.revokedAt.toISOString()}` : 'active',
+        `last used ${apiKey.lastUsedAt?.toISOString() || 'never'}`
+      ].join('  ')));
+      break;
+
+    default:
+      throw new Error('Usage: api-keys create <name> | revoke <name> | list');
+  }
+} catch (error) {
+  console.error('❌', error.message);
+  process.exitCode = 1;
+}
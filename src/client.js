@@ -4,13 +4,23 @@ import protoLoader from '@grpc/proto-loader';
 import { response } from 'express';
 
 // Load the .proto file
-const PROTO_PATH = './hello.proto';
-const packageDefinition = protoLoader.loadSync(PROTO_PATH);
+// hello.proto imports the versioned packages in ./proto
+const PROTO_PATH = 'hello.proto';
+const packageDefinition = protoLoader.loadSync(PROTO_PATH, { includeDirs: ['.', './proto'] });
 const grpcObject = grpc.loadPackageDefinition(packageDefinition);
 const helloPackage = grpcObject.hello;
 
+// Calls need an API key (see README: Authentication); set QB2GC_API_KEY
+// to one created with `npm run api-keys -- create examples`
+const withApiKey = (options, nextCall) => new grpc.InterceptingCall(nextCall(options), {
+  start: (metadata, listener, next) => {
+    metadata.set('x-api-key', process.env.QB2GC_API_KEY || '');
+    next(metadata, listener);
+  }
+});
+
 // Create a client instance and connect to the gRPC server
-const client = new helloPackage.HelloService('localhost:50051', grpc.credentials.createInsecure());
+const client = new helloPackage.HelloService('localhost:50051', grpc.credentials.createInsecure(), { interceptors: [withApiKey] });
 
 // Call the sayHello method
 client.sayHello({ name: 'Yash' }, (error, response) => {
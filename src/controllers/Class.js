@@ -1,23 +1,12 @@
 import { PrismaClient } from '@prisma/client';
 import grpc from '@grpc/grpc-js';
 import { getQuickBooksInstance } from '../QBInstance.js';
-import GnuCashSyncService from '../services/GnuCashSyncService.js';
+import { gnucashService, initializeGnuCashService } from './GnuCashSync.js';
 
 const prisma = new PrismaClient({
   log: ['query', 'info', 'warn', 'error'],
 });
 
-// Initialize GnuCash sync service
-const gnucashService = new GnuCashSyncService();
-let isGnuCashInitialized = false;
-
-const ensureGnuCashInitialized = async () => {
-  if (!isGnuCashInitialized) {
-    await gnucashService.initialize();
-    isGnuCashInitialized = true;
-  }
-};
-
 export const CreateClass = async (call, callback) => {
   try {
     const classDataList = [];
@@ -100,26 +89,22 @@ export const CreateClass = async (call, callback) => {
         const ids = createdClasses.map((cls) => cls.id.toString());
         call.write({ ids, message: '✅ Classes created and synced successfully to QuickBooks' });
         
-        // 6️⃣ Sync to GnuCash in background (non-blocking)
-        (async () => {
-          try {
-            await ensureGnuCashInitialized();
-            console.log('🔄 Starting GnuCash sync for created classes...');
-            
-            for (const cls of createdClasses) {
-              try {
-                await gnucashService.syncClassToGnuCash(cls.id);
-              } catch (gcErr) {
-                console.error(`⚠️ GnuCash sync failed for class ${cls.id}:`, gcErr.message);
-                // Don't fail the whole operation if GnuCash sync fails
-              }
+        // 6️⃣ Queue the GnuCash syncs (a sync worker runs and retries them)
+        try {
+          await initializeGnuCashService();
+
+          for (const cls of createdClasses) {
+            try {
+              const job = await gnucashService.enqueueSync('Class', cls.id);
+              console.log(`🔄 Queued GnuCash sync for class ${cls.id} as job ${job.id}`);
+            } catch (gcErr) {
+              console.error(`⚠️ Failed to queue GnuCash sync for class ${cls.id}:`, gcErr.message);
+              // Don't fail the whole operation if GnuCash sync fails
             }
-            
-            console.log('✅ GnuCash sync completed for all classes');
-          } catch (initErr) {
-            console.error('⚠️ GnuCash service initialization failed:', initErr.message);
           }
-        })();
+        } catch (initErr) {
+          console.error('⚠️ GnuCash service initialization failed:', initErr.message);
+        }
         
         call.end();
       } catch (err) {
@@ -1,83 +1,222 @@
 import grpc from '@grpc/grpc-js';
-import GnuCashSyncService from '../services/GnuCashSyncService.js';
+import GnuCashSyncService, { ValidationError } from '../services/GnuCashSyncService.js';
+import GnuCashImportService from '../services/GnuCashImportService.js';
+import { SyncJobError } from '../services/SyncJobQueue.js';
+import { toFieldDiffMessages } from '../services/SyncPreview.js';
 
 const gnucashService = new GnuCashSyncService();
+const importService = new GnuCashImportService(gnucashService);
 
 /**
- * Initialize GnuCash Sync Service
+ * Response message for a single sync, which may have hit a conflict
  */
-export const initializeGnuCashService = async () => {
-  try {
-    await gnucashService.initialize();
-    return gnucashService;
-  } catch (error) {
-    console.error('Failed to initialize GnuCash service:', error);
-    throw error;
+const describeSyncResult = (label, result) => {
+  if (result.unchanged) {
+    return `⏭️ ${label} unchanged since its last sync; skipped`;
+  }
+
+  if (result.queued) {
+    return result.error
+      ? `🔁 ${label} sync failed (${result.error}); retry queued as job ${result.jobId}`
+      : `🕒 ${label} sync queued as job ${result.jobId}`;
+  }
+
+  switch (result.conflict?.resolution) {
+    case 'manual':
+      return `⚠️ ${label} changed in both QuickBooks and GnuCash; parked for review as conflict ${result.conflict.conflictId}`;
+    case 'gc_wins':
+      return `✅ ${label} changed in both QuickBooks and GnuCash; kept the GnuCash version`;
+    default:
+      return `✅ ${label} synced to GnuCash`;
   }
 };
 
 /**
- * gRPC handler to sync a single Class to GnuCash
+ * Response message for a sync preview
  */
-export const SyncClassToGnuCash = async (call, callback) => {
+const describePreview = (label, preview) => {
+  if (!preview.valid) {
+    return `🔍 Preview: ${label} fails validation: ${preview.validationErrors.map(e => e.message).join('; ')}`;
+  }
+
+  return `🔍 Preview: ${label} would be ${preview.operation}d in GnuCash (${preview.diff.length} fields change)`
+    + (preview.conflict ? `; changed in both QuickBooks and GnuCash, resolved with ${preview.conflict.resolution}` : '');
+};
+
+/**
+ * Shape a previewSync result for the GnuCashSyncPreview proto message
+ */
+const toPreviewMessage = (preview) => ({
+  entityType: preview.entityType,
+  entityId: String(preview.entityId),
+  valid: preview.valid,
+  validationErrors: preview.validationErrors,
+  operation: preview.operation || '',
+  gcAccountId: preview.gcAccountId || '',
+  gcAccount: preview.gcAccount && {
+    guid: preview.gcAccount['act:id']['#text'],
+    name: preview.gcAccount['act:name'],
+    type: preview.gcAccount['act:type'],
+    commodity: preview.gcAccount['act:commodity']['cmdty:id'],
+    description: preview.gcAccount['act:description'],
+    code: preview.gcAccount['act:code'],
+    parentGuid: preview.gcAccount['act:parent']['#text'] || '',
+    placeholder: preview.gcAccount['act:slots']?.slot['slot:value']['#text'] === 'true'
+  },
+  diff: toFieldDiffMessages(preview.diff || []),
+  conflict: preview.conflict,
+  error: preview.error || ''
+});
+
+/**
+ * Shape a GnuCashConflict row for the GnuCashConflict proto message
+ */
+const toConflictMessage = (conflict) => ({
+  id: conflict.id,
+  entityType: conflict.entityType,
+  entityId: conflict.entityId,
+  gcAccountId: conflict.gcAccountId,
+  syncDirection: conflict.syncDirection,
+  status: conflict.status,
+  qbData: conflict.qbData,
+  gcData: conflict.gcData,
+  baseData: conflict.baseData || '',
+  resolution: conflict.resolution || '',
+  createdAt: conflict.createdAt.toISOString(),
+  resolvedAt: conflict.resolvedAt?.toISOString() || ''
+});
+
+/**
+ * Validation errors, and sync jobs that failed with one, are the caller's
+ * to fix
+ */
+const syncErrorCode = (error) =>
+  (error instanceof ValidationError || (error instanceof SyncJobError && error.rejected)
+    ? grpc.status.INVALID_ARGUMENT
+    : grpc.status.INTERNAL);
+
+let gnucashInitialized = null;
+
+/**
+ * Initialize the GnuCash Sync Service shared by every controller. Calls
+ * share one initialization; after a failure the next call tries again.
+ */
+export const initializeGnuCashService = () => {
+  gnucashInitialized ??= gnucashService.initialize()
+    .then(() => gnucashService)
+    .catch((error) => {
+      console.error('Failed to initialize GnuCash service:', error);
+      gnucashInitialized = null;
+      throw error;
+    });
+  return gnucashInitialized;
+};
+
+export { gnucashService };
+
+/**
+ * Sync one record through the job queue, or preview its sync, and answer
+ * with a GnuCashSyncResponse
+ */
+const syncOne = async (entityType, entityId, { recreate, preview }, callback) => {
   try {
-    const { classId } = call.request;
+    if (preview) {
+      const result = await gnucashService.previewSync(entityType, entityId, { recreate });
 
-    if (!classId) {
-      return callback({
-        code: grpc.status.INVALID_ARGUMENT,
-        message: 'classId is required'
+      return callback(null, {
+        success: result.valid,
+        message: describePreview(entityType, result),
+        gcAccountId: result.gcAccountId || '',
+        data: JSON.stringify(result.gcAccount),
+        preview: toPreviewMessage(result)
       });
     }
 
-    const result = await gnucashService.syncClassToGnuCash(classId);
+    const result = await gnucashService.syncViaQueue(entityType, entityId, { recreate });
 
     callback(null, {
       success: result.success,
-      message: `✅ Class synced to GnuCash`,
+      message: describeSyncResult(entityType, result),
       gcAccountId: result.gcAccountId,
-      data: JSON.stringify(result.gcAccount)
+      data: JSON.stringify(result.gcAccount || result.conflict || null),
+      conflictId: result.conflict?.conflictId || '',
+      jobId: result.jobId
     });
   } catch (error) {
-    console.error('Error syncing class to GnuCash:', error);
+    console.error(`Error syncing ${entityType} to GnuCash:`, error);
     callback({
-      code: grpc.status.INTERNAL,
+      code: syncErrorCode(error),
       message: error.message
     });
   }
 };
 
 /**
- * gRPC handler to batch sync Classes to GnuCash
+ * Collect a stream of batch requests, sync them batchSize at a time (or
+ * preview them) and answer with one GnuCashBatchResponse. `toEntity` picks
+ * the { entityType, entityId } out of a request, or returns null to skip it.
  */
-export const BatchSyncClassesToGnuCash = async (call, callback) => {
+const streamBatchSync = (call, callback, toEntity) => {
   try {
-    const classIds = [];
+    const idsByType = new Map();
+    let total = 0;
+    let recreate = false;
+    let preview = false;
 
     call.on('data', (data) => {
-      if (data.classId) {
-        classIds.push(data.classId);
+      const entity = toEntity(data);
+      if (entity) {
+        idsByType.set(entity.entityType, [...(idsByType.get(entity.entityType) || []), entity.entityId]);
+        total++;
       }
+      recreate = recreate || Boolean(data.recreate);
+      preview = preview || Boolean(data.preview);
     });
 
     call.on('end', async () => {
       try {
-        const result = await gnucashService.batchSyncToGnuCash('Class', classIds);
+        // Reject unknown entity types before queueing anything
+        [...idsByType.keys()].forEach(entityType => gnucashService.getEntityModel(entityType));
+
+        if (preview) {
+          const previews = [];
+          for (const [entityType, entityIds] of idsByType) {
+            previews.push(...(await gnucashService.batchPreviewSync(entityType, entityIds, { recreate })).previews);
+          }
+          const valid = previews.filter(p => p.valid).length;
+
+          call.write({
+            total,
+            successful: valid,
+            failed: total - valid,
+            previews: previews.map(toPreviewMessage),
+            message: `🔍 Preview: ${valid}/${total} would sync`
+              + (total - valid ? `, ${total - valid} fail validation` : '')
+          });
+          return call.end();
+        }
+
+        const result = { total: 0, successful: 0, failed: 0, conflicts: 0, queued: 0, unchanged: 0 };
+        for (const [entityType, entityIds] of idsByType) {
+          const typeResult = await gnucashService.batchSyncToGnuCash(entityType, entityIds, { recreate });
+          Object.keys(result).forEach(key => { result[key] += typeResult[key]; });
+        }
 
         call.write({
-          total: result.total,
-          successful: result.successful,
-          failed: result.failed,
+          ...result,
           message: `✅ Batch sync completed: ${result.successful}/${result.total} successful`
+            + (result.conflicts ? `, ${result.conflicts} parked as conflicts` : '')
+            + (result.queued ? `, ${result.queued} queued for retry` : '')
+            + (result.unchanged ? `, ${result.unchanged} unchanged` : '')
         });
 
         call.end();
       } catch (error) {
         console.error('Batch sync error:', error);
         call.write({
-          total: classIds.length,
+          total,
           successful: 0,
-          failed: classIds.length,
+          failed: total,
           message: `❌ Batch sync failed: ${error.message}`
         });
         call.end();
@@ -100,83 +239,217 @@ export const BatchSyncClassesToGnuCash = async (call, callback) => {
   }
 };
 
+/**
+ * gRPC handler to sync a single record of any mapped entity type to GnuCash
+ */
+export const SyncEntityToGnuCash = async (call, callback) => {
+  const { entityType, entityId, recreate, preview } = call.request;
+
+  if (!entityType || !entityId) {
+    return callback({
+      code: grpc.status.INVALID_ARGUMENT,
+      message: 'entityType and entityId are required'
+    });
+  }
+
+  return syncOne(entityType, entityId, { recreate, preview }, callback);
+};
+
+/**
+ * gRPC handler to batch sync records of any mapped entity types to GnuCash
+ */
+export const BatchSyncEntitiesToGnuCash = async (call, callback) =>
+  streamBatchSync(call, callback, ({ entityType, entityId }) =>
+    (entityType && entityId ? { entityType, entityId } : null));
+
+/**
+ * gRPC handler to sync a single Class to GnuCash
+ */
+export const SyncClassToGnuCash = async (call, callback) => {
+  const { classId, recreate, preview } = call.request;
+
+  if (!classId) {
+    return callback({
+      code: grpc.status.INVALID_ARGUMENT,
+      message: 'classId is required'
+    });
+  }
+
+  return syncOne('Class', classId, { recreate, preview }, callback);
+};
+
+/**
+ * gRPC handler to batch sync Classes to GnuCash
+ */
+export const BatchSyncClassesToGnuCash = async (call, callback) =>
+  streamBatchSync(call, callback, ({ classId }) => (classId ? { entityType: 'Class', entityId: classId } : null));
+
 /**
  * gRPC handler to sync a single Account to GnuCash
  */
 export const SyncAccountToGnuCash = async (call, callback) => {
-  try {
-    const { accountId } = call.request;
+  const { accountId, recreate, preview } = call.request;
 
-    if (!accountId) {
-      return callback({
-        code: grpc.status.INVALID_ARGUMENT,
-        message: 'accountId is required'
-      });
-    }
+  if (!accountId) {
+    return callback({
+      code: grpc.status.INVALID_ARGUMENT,
+      message: 'accountId is required'
+    });
+  }
+
+  return syncOne('Account', accountId, { recreate, preview }, callback);
+};
+
+/**
+ * gRPC handler to batch sync Accounts to GnuCash
+ */
+export const BatchSyncAccountsToGnuCash = async (call, callback) =>
+  streamBatchSync(call, callback, ({ accountId }) => (accountId ? { entityType: 'Account', entityId: accountId } : null));
+
+/**
+ * gRPC handler to sync a single Taxation to GnuCash
+ */
+export const SyncTaxationToGnuCash = async (call, callback) => {
+  const { taxationId, recreate, preview } = call.request;
+
+  if (!taxationId) {
+    return callback({
+      code: grpc.status.INVALID_ARGUMENT,
+      message: 'taxationId is required'
+    });
+  }
+
+  return syncOne('Taxation', taxationId, { recreate, preview }, callback);
+};
 
-    const result = await gnucashService.syncAccountToGnuCash(accountId);
+/**
+ * gRPC handler to batch sync Taxations to GnuCash
+ */
+export const BatchSyncTaxationsToGnuCash = async (call, callback) =>
+  streamBatchSync(call, callback, ({ taxationId }) => (taxationId ? { entityType: 'Taxation', entityId: taxationId } : null));
+
+/**
+ * gRPC handler to get GnuCash sync statistics
+ */
+export const GetSyncStatistics = async (call, callback) => {
+  try {
+    const { bucket, from, to } = call.request;
+    const stats = await gnucashService.getSyncStatistics({ bucket, from, to });
 
     callback(null, {
-      success: result.success,
-      message: `✅ Account synced to GnuCash`,
-      gcAccountId: result.gcAccountId,
-      data: JSON.stringify(result.gcAccount)
+      message: 'Sync statistics retrieved successfully',
+      ...stats
     });
   } catch (error) {
-    console.error('Error syncing account to GnuCash:', error);
+    console.error('Error getting sync statistics:', error);
     callback({
-      code: grpc.status.INTERNAL,
+      code: syncErrorCode(error),
       message: error.message
     });
   }
 };
 
+
 /**
- * gRPC handler to batch sync Accounts to GnuCash
+ * gRPC handler to import a GnuCash book back into the database
  */
-export const BatchSyncAccountsToGnuCash = async (call, callback) => {
+export const ImportFromGnuCash = async (call, callback) => {
   try {
-    const accountIds = [];
+    const result = await importService.importFromGnuCash(call.request.filePath || null);
 
-    call.on('data', (data) => {
-      if (data.accountId) {
-        accountIds.push(data.accountId);
-      }
+    callback(null, {
+      success: result.failed === 0,
+      message: `✅ Imported ${result.filePath}: ${result.created} created, ${result.updated} updated, ${result.failed} failed`,
+      total: result.total,
+      created: result.created,
+      updated: result.updated,
+      unchanged: result.unchanged,
+      skipped: result.skipped,
+      failed: result.failed,
+      conflicts: result.conflicts,
+      data: JSON.stringify(result.details)
+    });
+  } catch (error) {
+    console.error('Error importing from GnuCash:', error);
+    callback({
+      code: syncErrorCode(error),
+      message: error.message
     });
+  }
+};
 
-    call.on('end', async () => {
-      try {
-        const result = await gnucashService.batchSyncToGnuCash('Account', accountIds);
+/**
+ * gRPC handler to get the active entityMapping.json version
+ */
+export const GetGnuCashConfigVersion = async (call, callback) => {
+  try {
+    const { configVersion, configError, configPath } = gnucashService;
 
-        call.write({
-          total: result.total,
-          successful: result.successful,
-          failed: result.failed,
-          message: `✅ Batch sync completed: ${result.successful}/${result.total} successful`
-        });
+    callback(null, {
+      version: configVersion?.version || '',
+      hash: configVersion?.hash || '',
+      loadedAt: configVersion?.loadedAt?.toISOString() || '',
+      configPath,
+      lastError: configError?.message || '',
+      lastErrorAt: configError?.rejectedAt?.toISOString() || '',
+      validationErrors: JSON.stringify(configError?.errors || [])
+    });
+  } catch (error) {
+    console.error('Error getting GnuCash config version:', error);
+    callback({
+      code: grpc.status.INTERNAL,
+      message: error.message
+    });
+  }
+};
 
-        call.end();
-      } catch (error) {
-        console.error('Batch sync error:', error);
-        call.write({
-          total: accountIds.length,
-          successful: 0,
-          failed: accountIds.length,
-          message: `❌ Batch sync failed: ${error.message}`
-        });
-        call.end();
-      }
+/**
+ * gRPC handler to list conflicts waiting for review
+ */
+export const ListGnuCashConflicts = async (call, callback) => {
+  try {
+    const { entityType, status } = call.request;
+    const conflicts = await gnucashService.listConflicts({
+      entityType: entityType || null,
+      status: status || 'PENDING'
     });
 
-    call.on('error', (error) => {
-      console.error('Stream error:', error);
-      callback({
-        code: grpc.status.INTERNAL,
-        message: error.message
+    callback(null, { conflicts: conflicts.map(toConflictMessage) });
+  } catch (error) {
+    console.error('Error listing GnuCash conflicts:', error);
+    callback({
+      code: grpc.status.INTERNAL,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * gRPC handler to resolve a conflict by letting QB or GnuCash win
+ */
+export const ResolveGnuCashConflict = async (call, callback) => {
+  try {
+    const { conflictId, resolution } = call.request;
+
+    if (!conflictId || !['qb_wins', 'gc_wins'].includes(resolution)) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'conflictId and a resolution of qb_wins or gc_wins are required'
       });
+    }
+
+    const { conflict, result } = await gnucashService.resolveConflict(conflictId, resolution);
+
+    callback(null, {
+      success: result.success,
+      message: result.success
+        ? `✅ Conflict ${conflictId} resolved (${resolution})`
+        : `⚠️ Conflict ${conflictId} is still pending: the ${resolution} sync did not succeed`,
+      conflict: toConflictMessage(conflict),
+      data: JSON.stringify(result)
     });
   } catch (error) {
-    console.error('Unexpected error:', error);
+    console.error('Error resolving GnuCash conflict:', error);
     callback({
       code: grpc.status.INTERNAL,
       message: error.message
@@ -185,18 +458,28 @@ export const BatchSyncAccountsToGnuCash = async (call, callback) => {
 };
 
 /**
- * gRPC handler to get GnuCash sync statistics
+ * gRPC handler to list syncs that failed permanently (retries ran out)
  */
-export const GetSyncStatistics = async (call, callback) => {
+export const ListFailedGnuCashSyncs = async (call, callback) => {
   try {
-    const stats = await gnucashService.getSyncStatistics();
+    const { entityType, limit } = call.request;
+    const logs = await gnucashService.listFailedSyncs({
+      entityType: entityType || null,
+      limit: limit || 100
+    });
 
     callback(null, {
-      message: 'Sync statistics retrieved successfully',
-      data: JSON.stringify(stats)
+      failures: logs.map(log => ({
+        syncLogId: log.id,
+        entityType: log.entityType,
+        entityId: log.entityId,
+        retryCount: log.retryCount,
+        errorMessage: log.errorMessage || '',
+        failedAt: log.syncCompletedAt?.toISOString() || ''
+      }))
     });
   } catch (error) {
-    console.error('Error getting sync statistics:', error);
+    console.error('Error listing failed GnuCash syncs:', error);
     callback({
       code: grpc.status.INTERNAL,
       message: error.message
@@ -0,0 +1,292 @@
+import grpc from '@grpc/grpc-js';
+import syncJobQueue from '../services/SyncJobQueue.js';
+
+/**
+ * Start working on queued sync jobs in this process
+ */
+export const startSyncJobWorker = () => {
+  syncJobQueue.start();
+  return syncJobQueue;
+};
+
+/**
+ * gRPC handler to get the status of a sync job
+ */
+export const GetSyncJob = async (call, callback) => {
+  try {
+    const { jobId } = call.request;
+
+    if (!jobId) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'jobId is required'
+      });
+    }
+
+    const job = await syncJobQueue.getJob(jobId);
+    if (!job) {
+      return callback({
+        code: grpc.status.NOT_FOUND,
+        message: `Sync job not found: ${jobId}`
+      });
+    }
+
+    callback(null, {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      payload: job.payload,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      runAt: job.runAt.toISOString(),
+      lockedBy: job.lockedBy || '',
+      lastError: job.lastError || '',
+      result: job.result || '',
+      createdAt: job.createdAt.toISOString(),
+      completedAt: job.completedAt?.toISOString() || '',
+      triggeredBy: job.triggeredBy || ''
+    });
+  } catch (error) {
+    console.error('Error getting sync job:', error);
+    callback({
+      code: grpc.status.INTERNAL,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Shape a DeadLetterJob row for the DeadLetter proto message
+ */
+const toDeadLetterMessage = (deadLetter) => ({
+  id: deadLetter.id,
+  jobId: deadLetter.jobId,
+  jobType: deadLetter.jobType,
+  payload: deadLetter.payload,
+  attempts: deadLetter.attempts,
+  maxAttempts: deadLetter.maxAttempts,
+  lastError: deadLetter.lastError,
+  errorHistory: deadLetter.errorHistory,
+  configVersion: deadLetter.configVersion || '',
+  configHash: deadLetter.configHash || '',
+  status: deadLetter.status,
+  replayJobId: deadLetter.replayJobId || '',
+  replayedAt: deadLetter.replayedAt?.toISOString() || '',
+  createdAt: deadLetter.createdAt.toISOString()
+});
+
+/**
+ * Parse an optional JSON request field; returns undefined when empty
+ */
+const parseJsonField = (value, field) => {
+  if (!value) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    const invalid = new Error(`Invalid JSON in ${field}`);
+    invalid.invalidArgument = true;
+    throw invalid;
+  }
+};
+
+/**
+ * Look up a dead letter that can still be edited or replayed, or fail the
+ * call with NOT_FOUND / FAILED_PRECONDITION. Returns null if the call failed.
+ */
+const findPendingDeadLetter = async (id, callback) => {
+  const deadLetter = await syncJobQueue.getDeadLetter(id);
+  if (!deadLetter) {
+    callback({
+      code: grpc.status.NOT_FOUND,
+      message: `Dead letter not found: ${id}`
+    });
+    return null;
+  }
+  if (deadLetter.status !== 'PENDING') {
+    callback({
+      code: grpc.status.FAILED_PRECONDITION,
+      message: `Dead letter ${id} was already replayed as job ${deadLetter.replayJobId}`
+    });
+    return null;
+  }
+  return deadLetter;
+};
+
+/**
+ * Response for a bulk dead-letter operation
+ */
+const toBulkResponse = (verb, results) => {
+  const successful = results.filter(result => !result.error).length;
+  return {
+    total: results.length,
+    successful,
+    failed: results.length - successful,
+    message: `✅ ${verb} ${successful}/${results.length} dead letters`,
+    results: results.map(({ id, deadLetter, error }) => ({
+      id,
+      success: !error,
+      error: error || '',
+      replayJobId: deadLetter?.replayJobId || ''
+    }))
+  };
+};
+
+/**
+ * gRPC handler to list dead letters
+ */
+export const ListDeadLetters = async (call, callback) => {
+  try {
+    const { jobType, status, limit } = call.request;
+    const deadLetters = await syncJobQueue.listDeadLetters({
+      jobType: jobType || null,
+      status: status || null,
+      limit: limit || 100
+    });
+
+    callback(null, { deadLetters: deadLetters.map(toDeadLetterMessage) });
+  } catch (error) {
+    console.error('Error listing dead letters:', error);
+    callback({
+      code: grpc.status.INTERNAL,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * gRPC handler to inspect a dead letter
+ */
+export const GetDeadLetter = async (call, callback) => {
+  try {
+    const { id } = call.request;
+    const deadLetter = id ? await syncJobQueue.getDeadLetter(id) : null;
+
+    if (!deadLetter) {
+      return callback({
+        code: grpc.status.NOT_FOUND,
+        message: `Dead letter not found: ${id}`
+      });
+    }
+
+    callback(null, toDeadLetterMessage(deadLetter));
+  } catch (error) {
+    console.error('Error getting dead letter:', error);
+    callback({
+      code: grpc.status.INTERNAL,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * gRPC handler to edit a dead letter's payload
+ */
+export const UpdateDeadLetter = async (call, callback) => {
+  try {
+    const { id } = call.request;
+    const payload = parseJsonField(call.request.payload, 'payload');
+    const payloadPatch = parseJsonField(call.request.payloadPatch, 'payloadPatch');
+
+    if (!id || (payload === undefined && payloadPatch === undefined)) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'id and a payload or payloadPatch are required'
+      });
+    }
+    if (payload !== undefined && (payload === null || typeof payload !== 'object' || Array.isArray(payload))) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'payload must be a JSON object'
+      });
+    }
+    if (!(await findPendingDeadLetter(id, callback))) return;
+
+    const deadLetter = await syncJobQueue.updateDeadLetter(id, { payload, payloadPatch });
+    callback(null, toDeadLetterMessage(deadLetter));
+  } catch (error) {
+    console.error('Error updating dead letter:', error);
+    callback({
+      code: error.invalidArgument ? grpc.status.INVALID_ARGUMENT : grpc.status.INTERNAL,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * gRPC handler to patch the payloads of several dead letters
+ */
+export const UpdateDeadLetters = async (call, callback) => {
+  try {
+    const { ids, jobType } = call.request;
+    const payloadPatch = parseJsonField(call.request.payloadPatch, 'payloadPatch');
+
+    if ((!ids?.length && !jobType) || payloadPatch === undefined) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'ids or jobType, and a payloadPatch, are required'
+      });
+    }
+
+    const results = await syncJobQueue.updateDeadLetters({ ids, jobType: jobType || null }, payloadPatch);
+    callback(null, toBulkResponse('Updated', results));
+  } catch (error) {
+    console.error('Error updating dead letters:', error);
+    callback({
+      code: error.invalidArgument ? grpc.status.INVALID_ARGUMENT : grpc.status.INTERNAL,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * gRPC handler to replay a dead letter
+ */
+export const ReplayDeadLetter = async (call, callback) => {
+  try {
+    const { id } = call.request;
+    const payloadPatch = parseJsonField(call.request.payloadPatch, 'payloadPatch');
+
+    if (!id) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'id is required'
+      });
+    }
+    if (!(await findPendingDeadLetter(id, callback))) return;
+
+    const deadLetter = await syncJobQueue.replayDeadLetter(id, { payloadPatch });
+    callback(null, toDeadLetterMessage(deadLetter));
+  } catch (error) {
+    console.error('Error replaying dead letter:', error);
+    callback({
+      code: error.invalidArgument ? grpc.status.INVALID_ARGUMENT : grpc.status.INTERNAL,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * gRPC handler to replay several dead letters
+ */
+export const ReplayDeadLetters = async (call, callback) => {
+  try {
+    const { ids, jobType } = call.request;
+    const payloadPatch = parseJsonField(call.request.payloadPatch, 'payloadPatch');
+
+    if (!ids?.length && !jobType) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'ids or jobType is required'
+      });
+    }
+
+    const results = await syncJobQueue.replayDeadLetters({ ids, jobType: jobType || null }, { payloadPatch });
+    callback(null, toBulkResponse('Replayed', results));
+  } catch (error) {
+    console.error('Error replaying dead letters:', error);
+    callback({
+      code: error.invalidArgument ? grpc.status.INVALID_ARGUMENT : grpc.status.INTERNAL,
+      message: error.message
+    });
+  }
+};
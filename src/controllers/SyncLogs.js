@@ -0,0 +1,64 @@
+import grpc from '@grpc/grpc-js';
+import SyncLogService from '../services/SyncLogService.js';
+import { ValidationError } from '../services/GnuCashSyncService.js';
+
+const syncLogService = new SyncLogService();
+
+/**
+ * Shape a sync log entry for the SyncLogEntry proto message
+ */
+const toSyncLogEntryMessage = (entry) => ({
+  id: entry.id,
+  log: entry.log,
+  entityType: entry.entityType || '',
+  entityId: entry.entityId || '',
+  universalEntityId: entry.universalEntityId || '',
+  operation: entry.operation,
+  sourceSystem: entry.sourceSystem,
+  targetSystem: entry.targetSystem,
+  status: entry.status,
+  direction: entry.direction,
+  errorMessage: entry.errorMessage || '',
+  retryCount: entry.retryCount,
+  startedAt: entry.startedAt.toISOString(),
+  completedAt: entry.completedAt?.toISOString() || '',
+  gcFilePath: entry.gcFilePath || '',
+  metadata: entry.metadata || '',
+  triggeredBy: entry.triggeredBy || ''
+});
+
+/**
+ * gRPC handler streaming one page of GnuCash and universal sync logs,
+ * newest first. The last entry carries the cursor of the next page.
+ */
+export const QuerySyncLogs = async (call) => {
+  try {
+    const { log, entityType, entityId, status, direction, sourceSystem, targetSystem, from, to, limit, cursor } = call.request;
+
+    const { entries, nextCursor } = await syncLogService.querySyncLogs({
+      log,
+      entityType,
+      entityId,
+      status,
+      direction,
+      sourceSystem,
+      targetSystem,
+      from,
+      to,
+      limit: limit || null,
+      cursor
+    });
+
+    entries.forEach((entry, i) => call.write({
+      ...toSyncLogEntryMessage(entry),
+      nextCursor: i === entries.length - 1 && nextCursor ? nextCursor : ''
+    }));
+    call.end();
+  } catch (error) {
+    console.error('Error querying sync logs:', error);
+    call.emit('error', {
+      code: error instanceof ValidationError ? grpc.status.INVALID_ARGUMENT : grpc.status.INTERNAL,
+      message: error.message
+    });
+  }
+};
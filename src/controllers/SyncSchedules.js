@@ -0,0 +1,197 @@
+import grpc from '@grpc/grpc-js';
+import SyncScheduleService from '../services/SyncScheduleService.js';
+import { ValidationError } from '../services/GnuCashSyncService.js';
+
+const scheduleService = new SyncScheduleService();
+
+const MAX_PREVIEW_RUNS = 50;
+
+/**
+ * Shape a SyncSchedule row for the SyncSchedule proto message
+ */
+const toScheduleMessage = (schedule) => ({
+  id: schedule.id,
+  entityType: schedule.entityType,
+  targetSystem: schedule.targetSystem,
+  cron: schedule.cron,
+  timezone: schedule.timezone,
+  batchSize: schedule.batchSize || 0,
+  paused: schedule.paused,
+  nextRunAt: schedule.nextRunAt?.toISOString() || '',
+  lastRunAt: schedule.lastRunAt?.toISOString() || '',
+  lastStatus: schedule.lastStatus || '',
+  lastResult: schedule.lastResult || ''
+});
+
+/**
+ * Map a service error to a gRPC error: invalid fields and unknown schedules
+ * are the caller's to fix
+ */
+const toGrpcError = (error) => ({
+  code: error instanceof ValidationError
+    ? grpc.status.INVALID_ARGUMENT
+    : (error.message.startsWith('Sync schedule not found') ? grpc.status.NOT_FOUND : grpc.status.INTERNAL),
+  message: error.message
+});
+
+/**
+ * gRPC handler to create a sync schedule
+ */
+export const CreateSyncSchedule = async (call, callback) => {
+  try {
+    const { entityType, targetSystem, cron, timezone, batchSize, paused } = call.request;
+
+    const schedule = await scheduleService.createSchedule({
+      entityType,
+      targetSystem,
+      cron,
+      timezone: timezone || 'UTC',
+      batchSize: batchSize || null,
+      paused
+    });
+
+    callback(null, toScheduleMessage(schedule));
+  } catch (error) {
+    console.error('Error creating sync schedule:', error);
+    callback(toGrpcError(error));
+  }
+};
+
+/**
+ * gRPC handler to change a schedule's cron, timezone or batchSize (empty
+ * fields are left unchanged)
+ */
+export const UpdateSyncSchedule = async (call, callback) => {
+  try {
+    const { id, cron, timezone, batchSize } = call.request;
+
+    if (!id) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'id is required'
+      });
+    }
+
+    const schedule = await scheduleService.updateSchedule(id, {
+      ...(cron && { cron }),
+      ...(timezone && { timezone }),
+      ...(batchSize && { batchSize })
+    });
+
+    callback(null, toScheduleMessage(schedule));
+  } catch (error) {
+    console.error('Error updating sync schedule:', error);
+    callback(toGrpcError(error));
+  }
+};
+
+/**
+ * gRPC handler to delete a sync schedule
+ */
+export const DeleteSyncSchedule = async (call, callback) => {
+  try {
+    const { id } = call.request;
+    const schedule = await scheduleService.deleteSchedule(id);
+
+    callback(null, {
+      success: true,
+      message: `✅ Deleted the ${schedule.entityType} sync schedule for ${schedule.targetSystem}`
+    });
+  } catch (error) {
+    console.error('Error deleting sync schedule:', error);
+    callback(toGrpcError(error));
+  }
+};
+
+/**
+ * gRPC handler to get a sync schedule
+ */
+export const GetSyncSchedule = async (call, callback) => {
+  try {
+    const schedule = await scheduleService.getSchedule(call.request.id);
+    callback(null, toScheduleMessage(schedule));
+  } catch (error) {
+    console.error('Error getting sync schedule:', error);
+    callback(toGrpcError(error));
+  }
+};
+
+/**
+ * gRPC handler to list sync schedules
+ */
+export const ListSyncSchedules = async (call, callback) => {
+  try {
+    const { targetSystem, entityType } = call.request;
+    const schedules = await scheduleService.listSchedules({
+      targetSystem: targetSystem || null,
+      entityType: entityType || null
+    });
+
+    callback(null, { schedules: schedules.map(toScheduleMessage) });
+  } catch (error) {
+    console.error('Error listing sync schedules:', error);
+    callback(toGrpcError(error));
+  }
+};
+
+/**
+ * gRPC handler to pause a sync schedule
+ */
+export const PauseSyncSchedule = async (call, callback) => {
+  try {
+    const schedule = await scheduleService.setPaused(call.request.id, true);
+    callback(null, toScheduleMessage(schedule));
+  } catch (error) {
+    console.error('Error pausing sync schedule:', error);
+    callback(toGrpcError(error));
+  }
+};
+
+/**
+ * gRPC handler to resume a paused sync schedule
+ */
+export const ResumeSyncSchedule = async (call, callback) => {
+  try {
+    const schedule = await scheduleService.setPaused(call.request.id, false);
+    callback(null, toScheduleMessage(schedule));
+  } catch (error) {
+    console.error('Error resuming sync schedule:', error);
+    callback(toGrpcError(error));
+  }
+};
+
+/**
+ * gRPC handler to preview the next run times of a schedule or expression
+ */
+export const PreviewSyncSchedule = async (call, callback) => {
+  try {
+    const { id, count } = call.request;
+    let { cron, timezone } = call.request;
+
+    if (id) {
+      ({ cron, timezone } = await scheduleService.getSchedule(id));
+    }
+    if (!cron) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'id or cron is required'
+      });
+    }
+
+    timezone = timezone || 'UTC';
+    let runs;
+    try {
+      runs = scheduleService.previewRuns(cron, timezone, Math.min(count || 5, MAX_PREVIEW_RUNS));
+    } catch (error) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: error.message
+      });
+    }
+
+    callback(null, { runs: runs.map(run => run.toISOString()), timezone });
+  } catch (error) {
+    console.error('Error previewing sync schedule:', error);
+    callback(toGrpcError(error));
+  }
+};
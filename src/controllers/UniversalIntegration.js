@@ -1,4 +1,7 @@
 import UniversalIntegrationService from '../services/UniversalIntegrationService.js';
+import { SyncJobError } from '../services/SyncJobQueue.js';
+import { ValidationError } from '../services/GnuCashSyncService.js';
+import { toFieldDiffMessages } from '../services/SyncPreview.js';
 
 // Initialize service
 const universalService = new UniversalIntegrationService();
@@ -10,12 +13,29 @@ const universalService = new UniversalIntegrationService();
  * with the universal data model.
  */
 
+/**
+ * Shape a previewSync result for the UniversalSyncPreview proto message
+ */
+const toPreviewMessage = (preview) => ({
+  sourceSystem: preview.sourceSystem,
+  entityType: preview.entityType,
+  sourceEntityId: String(preview.sourceEntityId),
+  valid: preview.valid,
+  validationErrors: preview.validationErrors || [],
+  operation: preview.operation || '',
+  universalType: preview.universalType || '',
+  coreData: preview.payload ? JSON.stringify(preview.payload.coreData) : '',
+  extendedData: preview.payload ? JSON.stringify(preview.payload.extendedData) : '',
+  diff: toFieldDiffMessages(preview.diff || []),
+  error: preview.error || ''
+});
+
 /**
  * Sync entity from any system to universal model
  */
 export async function SyncToUniversal(call, callback) {
   try {
-    const { sourceSystem, entityType, sourceEntityId, sourceData } = call.request;
+    const { sourceSystem, entityType, sourceEntityId, sourceData, preview } = call.request;
 
     if (!sourceSystem || !entityType || !sourceEntityId || !sourceData) {
       return callback({
@@ -35,17 +55,43 @@ export async function SyncToUniversal(call, callback) {
       });
     }
 
-    // Sync to universal
-    const universalEntity = await universalService.syncEntityToUniversal(
+    if (preview) {
+      const result = await universalService.previewSync(sourceSystem, entityType, sourceEntityId, parsedData);
+
+      return callback(null, {
+        success: result.valid,
+        message: result.valid
+          ? `🔍 Preview: ${sourceSystem} ${entityType} would be ${result.operation}d in the universal model (${result.diff.length} fields change)`
+          : `🔍 Preview: ${sourceSystem} ${entityType} fails validation: ${result.validationErrors.map(e => e.message).join('; ')}`,
+        universalType: result.universalType || '',
+        data: JSON.stringify(result.payload),
+        preview: toPreviewMessage(result)
+      });
+    }
+
+    // Sync to universal through the job queue
+    const { jobId, entity: universalEntity, queued, unchanged, error } = await universalService.syncViaQueue(
       sourceSystem,
       entityType,
       sourceEntityId,
       parsedData
     );
 
+    if (queued) {
+      return callback(null, {
+        success: false,
+        message: error
+          ? `🔁 Sync of ${sourceSystem} ${entityType} failed (${error}); retry queued as job ${jobId}`
+          : `🕒 Sync of ${sourceSystem} ${entityType} queued as job ${jobId}`,
+        jobId
+      });
+    }
+
     callback(null, {
       success: true,
-      message: `✅ Synced ${sourceSystem} ${entityType} to universal model`,
+      message: unchanged
+        ? `⏭️ ${sourceSystem} ${entityType} unchanged since its last sync; skipped`
+        : `✅ Synced ${sourceSystem} ${entityType} to universal model`,
       universalEntityId: universalEntity.id,
       universalType: universalEntity.universalType,
       data: JSON.stringify({
@@ -53,13 +99,14 @@ export async function SyncToUniversal(call, callback) {
         universalType: universalEntity.universalType,
         coreData: JSON.parse(universalEntity.coreData),
         extendedData: universalEntity.extendedData ? JSON.parse(universalEntity.extendedData) : {}
-      })
+      }),
+      jobId: jobId || ''
     });
 
   } catch (error) {
     console.error('❌ Error in SyncToUniversal:', error);
     callback({
-      code: 13, // INTERNAL
+      code: error instanceof SyncJobError && error.rejected ? 3 : 13, // INVALID_ARGUMENT : INTERNAL
       message: error.message
     });
   }
@@ -78,20 +125,52 @@ export async function BatchSyncToUniversal(call) {
   call.on('end', async () => {
     let successful = 0;
     let failed = 0;
+    let queued = 0;
+    let unchanged = 0;
+
+    // A preview flag on any request previews the whole batch
+    if (entities.some(entity => entity.preview)) {
+      const previews = [];
+      for (const { sourceSystem, entityType, sourceEntityId, sourceData } of entities) {
+        try {
+          previews.push(await universalService.previewSync(sourceSystem, entityType, sourceEntityId, JSON.parse(sourceData)));
+        } catch (error) {
+          previews.push({ sourceSystem, entityType, sourceEntityId, valid: false, error: error.message });
+        }
+      }
+      successful = previews.filter(preview => preview.valid).length;
+      failed = previews.length - successful;
+
+      call.write({
+        total: entities.length,
+        successful,
+        failed,
+        previews: previews.map(toPreviewMessage),
+        message: `🔍 Preview: ${successful}/${entities.length} would sync`
+          + (failed ? `, ${failed} fail validation` : '')
+      });
+      return call.end();
+    }
 
     for (const entity of entities) {
       try {
         const { sourceSystem, entityType, sourceEntityId, sourceData } = entity;
         const parsedData = JSON.parse(sourceData);
         
-        await universalService.syncEntityToUniversal(
+        const result = await universalService.syncViaQueue(
           sourceSystem,
           entityType,
           sourceEntityId,
           parsedData
         );
         
-        successful++;
+        if (result.queued) {
+          queued++;
+        } else if (result.unchanged) {
+          unchanged++;
+        } else {
+          successful++;
+        }
       } catch (error) {
         console.error(`❌ Failed to sync entity:`, error);
         failed++;
@@ -102,7 +181,11 @@ export async function BatchSyncToUniversal(call) {
       total: entities.length,
       successful,
       failed,
+      queued,
+      unchanged,
       message: `✅ Batch sync completed: ${successful} successful, ${failed} failed`
+        + (queued ? `, ${queued} queued for retry` : '')
+        + (unchanged ? `, ${unchanged} unchanged` : '')
     });
 
     call.end();
@@ -118,7 +201,7 @@ export async function BatchSyncToUniversal(call) {
  */
 export async function MapToSystem(call, callback) {
   try {
-    const { universalEntityId, targetSystem, targetEntityType } = call.request;
+    const { universalEntityId, targetSystem, targetEntityType, preview } = call.request;
 
     if (!universalEntityId || !targetSystem || !targetEntityType) {
       return callback({
@@ -127,6 +210,17 @@ export async function MapToSystem(call, callback) {
       });
     }
 
+    if (preview) {
+      const result = await universalService.previewMapping(universalEntityId, targetSystem, targetEntityType);
+
+      return callback(null, {
+        success: true,
+        message: `🔍 Preview: the ${targetSystem} ${targetEntityType} mapping would be ${result.operation}d (${result.diff.length} fields change)`,
+        targetData: JSON.stringify(result.targetData),
+        preview: { operation: result.operation, diff: toFieldDiffMessages(result.diff) }
+      });
+    }
+
     const result = await universalService.mapToTargetSystem(
       universalEntityId,
       targetSystem,
@@ -291,17 +385,24 @@ export async function GetUniversalTypes(call, callback) {
  */
 export async function GetIntegrationStatistics(call, callback) {
   try {
-    const stats = await universalService.getStatistics();
+    const { bucket, from, to } = call.request;
+    const stats = await universalService.getStatistics({ bucket, from, to });
 
     callback(null, {
       message: '✅ Integration statistics retrieved',
-      data: JSON.stringify(stats, null, 2)
+      ...stats,
+      systemHealth: stats.systemHealth.map(system => ({
+        systemName: system.systemName,
+        enabled: system.enabled,
+        healthStatus: system.healthStatus,
+        lastSyncAt: system.lastSyncAt?.toISOString() || ''
+      }))
     });
 
   } catch (error) {
     console.error('❌ Error in GetIntegrationStatistics:', error);
     callback({
-      code: 13,
+      code: error instanceof ValidationError ? 3 : 13, // INVALID_ARGUMENT : INTERNAL
       message: error.message
     });
   }
@@ -314,3 +415,36 @@ export async function initializeUniversalIntegration() {
 }
 
 export { universalService };
+
+/**
+ * List syncs that failed permanently (retries ran out)
+ */
+export async function ListFailedUniversalSyncs(call, callback) {
+  try {
+    const { sourceSystem, limit } = call.request;
+    const logs = await universalService.listFailedSyncs({
+      sourceSystem: sourceSystem || null,
+      limit: limit || 100
+    });
+
+    callback(null, {
+      failures: logs.map(log => ({
+        syncLogId: log.id,
+        sourceSystem: log.sourceSystem,
+        targetSystem: log.targetSystem,
+        universalEntityId: log.universalEntityId || '',
+        retryCount: log.retryCount,
+        errorMessage: log.errorMessage || '',
+        failedAt: log.syncCompletedAt?.toISOString() || '',
+        metadata: log.metadata || ''
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error in ListFailedUniversalSyncs:', error);
+    callback({
+      code: 13,
+      message: error.message
+    });
+  }
+}
@@ -1,6 +1,19 @@
 import { PrismaClient } from "@prisma/client";
 const prisma = new PrismaClient();
 import { status } from "@grpc/grpc-js";
+import { gnucashService, initializeGnuCashService } from "./GnuCashSync.js";
+
+// Queue the GnuCash sync of a taxation (a sync worker runs and retries it).
+// A failure is logged but doesn't fail the create or update.
+async function enqueueGnuCashSync(taxationId) {
+  try {
+    await initializeGnuCashService();
+    const job = await gnucashService.enqueueSync("Taxation", taxationId);
+    console.log(`🔄 Queued GnuCash sync for taxation ${taxationId} as job ${job.id}`);
+  } catch (gcErr) {
+    console.error(`⚠️ Failed to queue GnuCash sync for taxation ${taxationId}:`, gcErr.message);
+  }
+}
 
 // Create bulk taxation
 export async function CreateTaxations(call) {
@@ -119,6 +132,10 @@ function mapTaxationToResponse(taxation) {
         });
       }
 
+      for (const tax of createdTaxations) {
+        await enqueueGnuCashSync(tax.id);
+      }
+
       call.end(); // close server stream
     } catch (err) {
       
@@ -264,6 +281,8 @@ export async function UpdateTaxations(call) {
           employeeAddress: true
         }
       });
+
+      await enqueueGnuCashSync(updatedTax.id);
     } catch (err) {
       call.write({
         id: taxationData.id,
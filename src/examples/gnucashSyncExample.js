@@ -6,10 +6,14 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const PROTO_PATH = path.join(__dirname, '../hello.proto');
+const PROTO_DIR = path.join(__dirname, '../proto');
 
 // Load proto
-const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
+const packageDefinition = protoLoader.loadSync([
+  'qb2gc/gnucash/v1/gnucash.proto',
+  'qb2gc/accounting/v1/accounting.proto'
+], {
+  includeDirs: [PROTO_DIR],
   keepCase: true,
   longs: String,
   enums: String,
@@ -17,15 +21,25 @@ const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
   oneofs: true
 });
 
-const hello_proto = grpc.loadPackageDefinition(packageDefinition).hello;
+const { gnucash, accounting } = grpc.loadPackageDefinition(packageDefinition).qb2gc;
+
+// Calls need an API key (see README: Authentication); set QB2GC_API_KEY
+// to one created with `npm run api-keys -- create examples`
+const withApiKey = (options, nextCall) => new grpc.InterceptingCall(nextCall(options), {
+  start: (metadata, listener, next) => {
+    metadata.set('x-api-key', process.env.QB2GC_API_KEY || '');
+    next(metadata, listener);
+  }
+});
 
 /**
  * Example: Sync a class to GnuCash
  */
 async function syncClassToGnuCash(classId) {
-  const client = new hello_proto.GnuCashSync(
+  const client = new gnucash.v1.GnuCashSync(
     'localhost:50051',
-    grpc.credentials.createInsecure()
+    grpc.credentials.createInsecure(),
+    { interceptors: [withApiKey] }
   );
 
   return new Promise((resolve, reject) => {
@@ -45,9 +59,10 @@ async function syncClassToGnuCash(classId) {
  * Example: Batch sync classes to GnuCash
  */
 async function batchSyncClasses(classIds) {
-  const client = new hello_proto.GnuCashSync(
+  const client = new gnucash.v1.GnuCashSync(
     'localhost:50051',
-    grpc.credentials.createInsecure()
+    grpc.credentials.createInsecure(),
+    { interceptors: [withApiKey] }
   );
 
   const call = client.BatchSyncClassesToGnuCash();
@@ -83,9 +98,10 @@ async function batchSyncClasses(classIds) {
  * Example: Get sync statistics
  */
 async function getSyncStatistics() {
-  const client = new hello_proto.GnuCashSync(
+  const client = new gnucash.v1.GnuCashSync(
     'localhost:50051',
-    grpc.credentials.createInsecure()
+    grpc.credentials.createInsecure(),
+    { interceptors: [withApiKey] }
   );
 
   return new Promise((resolve, reject) => {
@@ -94,7 +110,7 @@ async function getSyncStatistics() {
         console.error('Error getting statistics:', error);
         reject(error);
       } else {
-        console.log('📊 Sync Statistics:', JSON.parse(response.data));
+        console.log('📊 Sync Statistics:', response.entities, response.timeSeries.durations);
         resolve(response);
       }
     });
@@ -105,9 +121,10 @@ async function getSyncStatistics() {
  * Example: Create classes (auto-syncs to QB and GnuCash)
  */
 async function createClasses() {
-  const client = new hello_proto.Accounting(
+  const client = new accounting.v1.Accounting(
     'localhost:50051',
-    grpc.credentials.createInsecure()
+    grpc.credentials.createInsecure(),
+    { interceptors: [withApiKey] }
   );
 
   const call = client.CreateClass();
@@ -6,10 +6,11 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const PROTO_PATH = path.join(__dirname, '../hello.proto');
+const PROTO_DIR = path.join(__dirname, '../proto');
 
 // Load proto file
-const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
+const packageDefinition = protoLoader.loadSync('qb2gc/integration/v1/integration.proto', {
+  includeDirs: [PROTO_DIR],
   keepCase: true,
   longs: String,
   enums: String,
@@ -18,12 +19,22 @@ const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
 });
 
 const protoDescriptor = grpc.loadPackageDefinition(packageDefinition);
-const helloPackage = protoDescriptor.hello;
+const integration = protoDescriptor.qb2gc.integration.v1;
+
+// Calls need an API key (see README: Authentication); set QB2GC_API_KEY
+// to one created with `npm run api-keys -- create examples`
+const withApiKey = (options, nextCall) => new grpc.InterceptingCall(nextCall(options), {
+  start: (metadata, listener, next) => {
+    metadata.set('x-api-key', process.env.QB2GC_API_KEY || '');
+    next(metadata, listener);
+  }
+});
 
 // Create gRPC client
-const client = new helloPackage.UniversalIntegration(
+const client = new integration.UniversalIntegration(
   'localhost:50051',
-  grpc.credentials.createInsecure()
+  grpc.credentials.createInsecure(),
+  { interceptors: [withApiKey] }
 );
 
 /**
@@ -236,18 +247,19 @@ async function example8_GetStatistics() {
   console.log('\n📊 Example 8: Get Integration Statistics\n');
 
   return new Promise((resolve, reject) => {
-    client.GetIntegrationStatistics({}, (error, response) => {
+    client.GetIntegrationStatistics({ bucket: 'hour' }, (error, response) => {
       if (error) {
         console.error('❌ Error:', error.message);
         reject(error);
       } else {
         console.log('✅ Success:', response.message);
-        const stats = JSON.parse(response.data);
+        const { overview, timeSeries } = response;
         console.log('\n📊 Overview:');
-        console.log(`   Total Universal Entities: ${stats.overview.totalUniversalEntities}`);
-        console.log(`   Total Mappings: ${stats.overview.totalMappings}`);
-        console.log(`   Total Sync Operations: ${stats.overview.totalSyncOperations}`);
-        console.log(`   Enabled Systems: ${stats.overview.enabledSystems}`);
+        console.log(`   Total Universal Entities: ${overview.totalUniversalEntities}`);
+        console.log(`   Total Mappings: ${overview.totalMappings}`);
+        console.log(`   Total Sync Operations: ${overview.totalSyncOperations}`);
+        console.log(`   Enabled Systems: ${overview.enabledSystems}`);
+        console.log(`\n⏱️ Last 24 hours: ${timeSeries.durations.count} syncs completed, p95 ${Math.round(timeSeries.durations.p95Ms)} ms`);
         resolve(response);
       }
     });
@@ -2,20 +2,43 @@ import express from 'express'
 import dotenv from 'dotenv'
 import grpc from '@grpc/grpc-js';
 import protoLoader from '@grpc/proto-loader';
-const PROTO_PATH = './src/hello.proto';
+import { HealthImplementation, protoPath as HEALTH_PROTO_PATH } from 'grpc-health-check';
+import { ReflectionService } from '@grpc/reflection';
+// hello.proto holds the demo HelloService and the deprecated hello names of
+// the business services, which live in versioned packages under src/proto
+const PROTO_DIRS = ['./src', './src/proto'];
+const PROTO_FILES = [
+  'hello.proto',
+  'qb2gc/common/v1/common.proto',
+  'qb2gc/accounting/v1/accounting.proto',
+  'qb2gc/gnucash/v1/gnucash.proto',
+  'qb2gc/integration/v1/integration.proto',
+  'qb2gc/sync/v1/sync.proto'
+];
 import {CreateTaxations,GetTaxationById,UpdateTaxations} from "./controllers/taxations.js"
 import {CreateClass} from "./controllers/Class.js"
 import { createAccount } from './controllers/Accounting.js';
 import {
   initializeGnuCashService,
+  gnucashService,
   SyncClassToGnuCash,
   BatchSyncClassesToGnuCash,
   SyncAccountToGnuCash,
   BatchSyncAccountsToGnuCash,
-  GetSyncStatistics
+  SyncTaxationToGnuCash,
+  BatchSyncTaxationsToGnuCash,
+  SyncEntityToGnuCash,
+  BatchSyncEntitiesToGnuCash,
+  GetSyncStatistics,
+  ImportFromGnuCash,
+  GetGnuCashConfigVersion,
+  ListGnuCashConflicts,
+  ResolveGnuCashConflict,
+  ListFailedGnuCashSyncs
 } from './controllers/GnuCashSync.js';
 import {
   initializeUniversalIntegration,
+  universalService,
   SyncToUniversal,
   BatchSyncToUniversal,
   MapToSystem,
@@ -23,14 +46,42 @@ import {
   QueryEntities,
   GetSupportedSystems,
   GetUniversalTypes,
-  GetIntegrationStatistics
+  GetIntegrationStatistics,
+  ListFailedUniversalSyncs
 } from './controllers/UniversalIntegration.js';
+import {
+  startSyncJobWorker,
+  GetSyncJob,
+  ListDeadLetters,
+  GetDeadLetter,
+  UpdateDeadLetter,
+  UpdateDeadLetters,
+  ReplayDeadLetter,
+  ReplayDeadLetters
+} from './controllers/SyncJobs.js';
+import {
+  CreateSyncSchedule,
+  UpdateSyncSchedule,
+  DeleteSyncSchedule,
+  GetSyncSchedule,
+  ListSyncSchedules,
+  PauseSyncSchedule,
+  ResumeSyncSchedule,
+  PreviewSyncSchedule
+} from './controllers/SyncSchedules.js';
+import { QuerySyncLogs } from './controllers/SyncLogs.js';
+import AutoSyncScheduler from './services/AutoSyncScheduler.js';
+import { registry } from './services/Metrics.js';
+import { metricsInterceptor } from './interceptors/metricsInterceptor.js';
+import { createAuthInterceptor } from './interceptors/authInterceptor.js';
+import HealthCheckService from './services/HealthCheckService.js';
 
 dotenv.config()
 
-const packageDefinition = protoLoader.loadSync(PROTO_PATH);
+const packageDefinition = protoLoader.loadSync([...PROTO_FILES, HEALTH_PROTO_PATH], { includeDirs: PROTO_DIRS });
 const grpcObject = grpc.loadPackageDefinition(packageDefinition);
 const helloPackage = grpcObject.hello;
+const { accounting, gnucash, integration, sync } = grpcObject.qb2gc;
 
 
 const sayHello = (call, callback) => {
@@ -72,39 +123,61 @@ const idGetter = (call, callback) => {
     
     await initializeUniversalIntegration();
     console.log('✅ Universal Integration Service initialized');
+
+    // Job handlers are registered by the services above
+    startSyncJobWorker();
+
+    new AutoSyncScheduler({ gnucashService, universalService }).start();
   } catch (error) {
     console.error('❌ Failed to initialize services:', error);
   }
 })();
 
-// Create a gRPC server
-const server = new grpc.Server();
+// Create a gRPC server. Every call is counted, then authenticated (the
+// first interceptor sees calls first)
+const server = new grpc.Server({ interceptors: [metricsInterceptor, createAuthInterceptor()] });
+
+// Business services are served under their versioned package and, until
+// clients have moved, under their deprecated hello name
+const addVersionedService = (versionedPackage, name, implementation) => {
+  server.addService(versionedPackage[name].service, implementation);
+  server.addService(helloPackage[name].service, implementation);
+};
 
 // Add service to the server
 server.addService(helloPackage.HelloService.service, { sayHello,add,idGetter });
 
-server.addService(helloPackage.TaxationService.service, {
+addVersionedService(accounting.v1, 'TaxationService', {
   CreateTaxations,
   GetTaxationById,
   UpdateTaxations
 });
 
-server.addService(helloPackage.Accounting.service,{
+addVersionedService(accounting.v1, 'Accounting', {
   createAccount,
   CreateClass
 });
 
 // Add GnuCash Sync Service
-server.addService(helloPackage.GnuCashSync.service, {
+addVersionedService(gnucash.v1, 'GnuCashSync', {
   SyncClassToGnuCash,
   BatchSyncClassesToGnuCash,
   SyncAccountToGnuCash,
   BatchSyncAccountsToGnuCash,
-  GetSyncStatistics
+  SyncTaxationToGnuCash,
+  BatchSyncTaxationsToGnuCash,
+  SyncEntityToGnuCash,
+  BatchSyncEntitiesToGnuCash,
+  GetSyncStatistics,
+  ImportFromGnuCash,
+  GetGnuCashConfigVersion,
+  ListGnuCashConflicts,
+  ResolveGnuCashConflict,
+  ListFailedGnuCashSyncs
 });
 
 // Add Universal Integration Service
-server.addService(helloPackage.UniversalIntegration.service, {
+addVersionedService(integration.v1, 'UniversalIntegration', {
   SyncToUniversal,
   BatchSyncToUniversal,
   MapToSystem,
@@ -112,18 +185,81 @@ server.addService(helloPackage.UniversalIntegration.service, {
   QueryEntities,
   GetSupportedSystems,
   GetUniversalTypes,
-  GetIntegrationStatistics
+  GetIntegrationStatistics,
+  ListFailedUniversalSyncs
+});
+
+// Add Sync Jobs Service
+addVersionedService(sync.v1, 'SyncJobs', {
+  GetSyncJob,
+  ListDeadLetters,
+  GetDeadLetter,
+  UpdateDeadLetter,
+  UpdateDeadLetters,
+  ReplayDeadLetter,
+  ReplayDeadLetters
+});
+
+// Add Sync Schedules Service
+addVersionedService(sync.v1, 'SyncSchedules', {
+  CreateSyncSchedule,
+  UpdateSyncSchedule,
+  DeleteSyncSchedule,
+  GetSyncSchedule,
+  ListSyncSchedules,
+  PauseSyncSchedule,
+  ResumeSyncSchedule,
+  PreviewSyncSchedule
+});
+
+// Add Sync Logs Service
+addVersionedService(sync.v1, 'SyncLogs', {
+  QuerySyncLogs
+});
+
+// Add the standard gRPC health service (grpc.health.v1.Health), NOT_SERVING
+// until the services above are initialized and their dependencies pass
+const health = new HealthImplementation();
+health.addToServer(server);
+
+// Server reflection, so that tools like grpcurl can list and call the
+// services without the proto files
+new ReflectionService(packageDefinition).addToServer(server);
+new HealthCheckService({ health, gnucashService, universalService }).start();
+
+// Prometheus metrics over HTTP
+const metricsPort = Number(process.env.METRICS_PORT) || 9464;
+const metricsApp = express();
+
+metricsApp.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    console.error('❌ Failed to collect metrics:', error);
+    res.status(500).send(error.message);
+  }
+});
+
+metricsApp.listen(metricsPort, () => {
+  console.log(`📈 Metrics available at http://localhost:${metricsPort}/metrics`);
 });
 
 // Start the server
 server.bindAsync('127.0.0.1:50051', grpc.ServerCredentials.createInsecure(), () => {
   console.log('gRPC server running on port 50051');
   console.log('📊 Services available:');
-  console.log('  - HelloService');
-  console.log('  - TaxationService');
-  console.log('  - Accounting');
-  console.log('  - GnuCashSync');
-  console.log('  - UniversalIntegration ⭐ (NEW)');
+  console.log('  - hello.HelloService');
+  console.log('  - qb2gc.accounting.v1.TaxationService');
+  console.log('  - qb2gc.accounting.v1.Accounting');
+  console.log('  - qb2gc.gnucash.v1.GnuCashSync');
+  console.log('  - qb2gc.integration.v1.UniversalIntegration ⭐ (NEW)');
+  console.log('  - qb2gc.sync.v1.SyncJobs');
+  console.log('  - qb2gc.sync.v1.SyncSchedules');
+  console.log('  - qb2gc.sync.v1.SyncLogs');
+  console.log('  - grpc.health.v1.Health');
+  console.log('  - grpc.reflection.v1.ServerReflection');
+  console.log('  (the business services also answer under their deprecated hello names)');
   console.log('');
   console.log('🌐 Universal Integration supports:');
   console.log('  - QuickBooks, GnuCash, Salesforce, SAP, Microsoft 365');
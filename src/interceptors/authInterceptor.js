@@ -0,0 +1,69 @@
+import grpc from '@grpc/grpc-js';
+import AuthService, { AuthenticationError } from '../services/AuthService.js';
+import { callerLabel, runAsCaller } from '../services/CallerContext.js';
+
+// Answered without credentials, for orchestrator probes
+const PUBLIC_SERVICES = ['grpc.health.v1.Health'];
+
+/**
+ * Create the server interceptor that authenticates every call by API key or
+ * JWT (see AuthService), rejecting calls without valid credentials as
+ * UNAUTHENTICATED. The handler runs as the caller (see CallerContext), and
+ * every call is recorded in the audit log with its caller and status.
+ *
+ * AUTH_DISABLED=true lets every call through without a caller, for local
+ * development.
+ */
+export const createAuthInterceptor = ({
+  authService = new AuthService(),
+  disabled = process.env.AUTH_DISABLED === 'true'
+} = {}) => (methodDescriptor, call) => {
+  // path is "/<package>.<Service>/<Method>"
+  const [, service] = methodDescriptor.path.split('/');
+  if (disabled || PUBLIC_SERVICES.includes(service)) {
+    return call;
+  }
+
+  let caller = null;
+  const audit = (code) => {
+    authService.recordAudit({
+      caller: callerLabel(caller),
+      method: methodDescriptor.path,
+      statusCode: grpc.status[code] || String(code),
+      peer: call.getPeer()
+    }).catch(error => console.error(`❌ Failed to audit ${methodDescriptor.path}:`, error.message));
+  };
+
+  return new grpc.ServerInterceptingCall(call, {
+    start: (next) => {
+      next({
+        // Messages that arrive meanwhile are held back until mdNext is called
+        onReceiveMetadata: (metadata, mdNext) => {
+          authService.authenticate(metadata)
+            .then((authenticated) => {
+              caller = authenticated;
+              runAsCaller(caller, () => mdNext(metadata));
+            })
+            .catch((error) => {
+              const code = error instanceof AuthenticationError ? grpc.status.UNAUTHENTICATED : grpc.status.UNAVAILABLE;
+              if (code === grpc.status.UNAVAILABLE) {
+                console.error(`❌ Failed to authenticate ${methodDescriptor.path}:`, error.message);
+              }
+              audit(code);
+              call.sendStatus({
+                code,
+                details: code === grpc.status.UNAUTHENTICATED ? error.message : 'Authentication is unavailable',
+                metadata: new grpc.Metadata()
+              });
+            });
+        },
+        onReceiveMessage: (message, next) => runAsCaller(caller, () => next(message)),
+        onReceiveHalfClose: (next) => runAsCaller(caller, () => next())
+      });
+    },
+    sendStatus: (status, next) => {
+      audit(status.code);
+      next(status);
+    }
+  });
+};
@@ -0,0 +1,35 @@
+import grpc from '@grpc/grpc-js';
+import { grpcHandled, grpcHandlingSeconds, grpcStarted } from '../services/Metrics.js';
+
+/**
+ * gRPC type of a method: unary, client_stream, server_stream or bidi_stream
+ */
+const methodType = ({ requestStream, responseStream }) => {
+  if (requestStream && responseStream) return 'bidi_stream';
+  if (requestStream) return 'client_stream';
+  return responseStream ? 'server_stream' : 'unary';
+};
+
+/**
+ * Server interceptor counting every call by method and status code, and
+ * timing it until its status is sent
+ */
+export const metricsInterceptor = (methodDescriptor, call) => {
+  // path is "/<package>.<Service>/<Method>"
+  const [, service, method] = methodDescriptor.path.split('/');
+  const labels = { grpc_service: service, grpc_method: method, grpc_type: methodType(methodDescriptor) };
+  let endTimer = null;
+
+  return new grpc.ServerInterceptingCall(call, {
+    start: (next) => {
+      grpcStarted.inc(labels);
+      endTimer = grpcHandlingSeconds.startTimer(labels);
+      next();
+    },
+    sendStatus: (status, next) => {
+      grpcHandled.inc({ ...labels, grpc_code: grpc.status[status.code] || String(status.code) });
+      endTimer?.();
+      next(status);
+    }
+  });
+};
@@ -0,0 +1,60 @@
+/**
+ * Account Change Tracker - When each account of a GnuCash book last changed
+ * outside this process
+ *
+ * GnuCash does not timestamp account edits, and the book file's modification
+ * time moves with every write, our own included. The tracker remembers each
+ * account as it was last seen: an account that differs when the book is read
+ * again was changed elsewhere (e.g. in GnuCash desktop), at the latest when
+ * the file was saved. Accounts we write keep their time. Accounts seen for
+ * the first time, such as every account of a book opened after a restart,
+ * take the file's modification time.
+ */
+
+/**
+ * The account fields an edit in GnuCash can change, as one string
+ */
+const fingerprint = (account) => JSON.stringify([
+  account.name || '',
+  account.code || '',
+  account.description || '',
+  account.type,
+  Boolean(account.placeholder),
+  account.commodity || null,
+  account.parentGuid || null
+]);
+
+export class AccountChangeTracker {
+  constructor() {
+    this.seen = new Map();
+  }
+
+  /**
+   * Compare the accounts of the book with how they were last seen. Changed
+   * and new accounts take `modifiedAt`, when the book was saved; with
+   * `ownWrite` (the book was just written by us) they keep their time, and
+   * new accounts have none.
+   */
+  observe(accounts, modifiedAt, ownWrite = false) {
+    accounts.forEach(account => {
+      const seen = this.seen.get(account.guid);
+      const current = fingerprint(account);
+      if (!seen || seen.fingerprint !== current) {
+        this.seen.set(account.guid, {
+          fingerprint: current,
+          modifiedAt: ownWrite ? seen?.modifiedAt ?? null : modifiedAt
+        });
+      }
+    });
+  }
+
+  /**
+   * When an account last changed outside this process, or null if it has
+   * not since we created it
+   */
+  modifiedAt(guid) {
+    return this.seen.get(guid)?.modifiedAt ?? null;
+  }
+}
+
+export default AccountChangeTracker;
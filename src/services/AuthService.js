@@ -0,0 +1,159 @@
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+
+const prisma = new PrismaClient();
+
+const API_KEY_PREFIX = 'qb2gc_';
+
+// Shown in key listings to tell keys apart
+const KEY_PREFIX_LENGTH = API_KEY_PREFIX.length + 6;
+
+// lastUsedAt is refreshed at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const SECRET_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const PUBLIC_KEY_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * Raised when a call carries no credentials, or credentials that are not
+ * valid
+ */
+export class AuthenticationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * SHA-256 of an API key; keys are random, so no salt or slow hash is needed
+ */
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Auth Service - Authenticate gRPC callers by API key or JWT
+ *
+ * API keys are sent as `x-api-key` metadata. Only their SHA-256 hash is
+ * stored (the ApiKey table), so a key is shown once, when it is created.
+ *
+ * JWTs are sent as `authorization: Bearer <token>` metadata and verified
+ * against a locally configured key: JWT_SECRET (HS256/384/512) or the PEM
+ * public key in JWT_PUBLIC_KEY_FILE (RS*, PS*, ES*). JWT_ISSUER and
+ * JWT_AUDIENCE, when set, must match the token's iss and aud claims, and
+ * the sub claim names the caller.
+ */
+export class AuthService {
+  constructor({
+    jwtSecret = process.env.JWT_SECRET,
+    jwtPublicKeyFile = process.env.JWT_PUBLIC_KEY_FILE,
+    jwtIssuer = process.env.JWT_ISSUER,
+    jwtAudience = process.env.JWT_AUDIENCE
+  } = {}) {
+    this.jwtKey = jwtPublicKeyFile ? fs.readFileSync(jwtPublicKeyFile, 'utf-8') : jwtSecret || null;
+    this.jwtAlgorithms = jwtPublicKeyFile ? PUBLIC_KEY_ALGORITHMS : SECRET_ALGORITHMS;
+    this.jwtIssuer = jwtIssuer || undefined;
+    this.jwtAudience = jwtAudience || undefined;
+  }
+
+  /**
+   * Create an API key for a caller. Returns { apiKey, key }; the key is not
+   * stored and cannot be shown again.
+   */
+  async createApiKey(name) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name,
+        keyHash: hashApiKey(key),
+        keyPrefix: key.slice(0, KEY_PREFIX_LENGTH)
+      }
+    });
+    return { apiKey, key };
+  }
+
+  async revokeApiKey(name) {
+    return prisma.apiKey.update({
+      where: { name },
+      data: { revokedAt: new Date() }
+    });
+  }
+
+  async listApiKeys() {
+    return prisma.apiKey.findMany({
+      select: { id: true, name: true, keyPrefix: true, lastUsedAt: true, revokedAt: true, createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Caller of an API key
+   */
+  async authenticateApiKey(key) {
+    const apiKey = await prisma.apiKey.findUnique({ where: { keyHash: hashApiKey(key) } });
+    if (!apiKey || apiKey.revokedAt) {
+      throw new AuthenticationError(apiKey ? 'API key has been revoked' : 'Unknown API key');
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt >= LAST_USED_RESOLUTION_MS) {
+      await prisma.apiKey.update({ where: { id: apiKey.id }, data: { lastUsedAt: new Date() } })
+        .catch(error => console.error(`⚠️ Failed to record use of API key ${apiKey.name}:`, error.message));
+    }
+    return { type: 'api_key', subject: apiKey.name };
+  }
+
+  /**
+   * Caller of a JWT
+   */
+  authenticateJwt(token) {
+    if (!this.jwtKey) {
+      throw new AuthenticationError('JWT authentication is not configured');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, this.jwtKey, {
+        algorithms: this.jwtAlgorithms,
+        issuer: this.jwtIssuer,
+        audience: this.jwtAudience
+      });
+    } catch (error) {
+      throw new AuthenticationError(`Invalid JWT: ${error.message}`);
+    }
+
+    if (!claims.sub) {
+      throw new AuthenticationError('Invalid JWT: no sub claim');
+    }
+    return { type: 'jwt', subject: String(claims.sub) };
+  }
+
+  /**
+   * Caller of a call, from its metadata
+   */
+  async authenticate(metadata) {
+    const [apiKey] = metadata.get('x-api-key');
+    if (apiKey) {
+      return this.authenticateApiKey(String(apiKey));
+    }
+
+    const [authorization] = metadata.get('authorization');
+    const [scheme, token] = String(authorization || '').split(' ');
+    if (scheme?.toLowerCase() === 'bearer' && token) {
+      return this.authenticateJwt(token);
+    }
+
+    throw new AuthenticationError('Missing credentials: send an x-api-key or an authorization: Bearer <JWT> header');
+  }
+
+  /**
+   * Record a call in the audit log
+   */
+  async recordAudit({ caller, method, statusCode, peer }) {
+    await prisma.auditLog.create({
+      data: { caller, method, statusCode, peer }
+    });
+  }
+}
+
+export default AuthService;
@@ -0,0 +1,245 @@
+import { PrismaClient } from '@prisma/client';
+import os from 'os';
+import { GNUCASH_SYSTEM, getEntityModels } from './GnuCashSyncService.js';
+import { acquireLeaderLock, releaseLeaderLock } from './LeaderLock.js';
+import SyncScheduleService from './SyncScheduleService.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Auto Sync Scheduler - Periodic sync of PENDING and FAILED entities
+ *
+ * Every tick, each SystemIntegration with enabled, syncEnabled and autoSync
+ * set whose syncInterval (minutes) has passed since lastSyncAt is synced:
+ *
+ * - GnuCash: records of every mapped entity type waiting to go to GnuCash
+ *   (only while the mapping config's syncRules.autoSync is on)
+ * - any other system: its universal entities, re-synced from their raw data
+ *
+ * Entities are queued batchSize at a time. Afterwards lastSyncAt is set and
+ * healthStatus becomes healthy, degraded (some failed) or down (all failed,
+ * or the run itself failed).
+ *
+ * Each tick also runs the due cron schedules (SyncSchedule rows), which sync
+ * one entity type to one target system the same way. A leader lock per
+ * integration and per cron schedule makes sure only one server instance runs
+ * each schedule.
+ */
+export class AutoSyncScheduler {
+  constructor({
+    gnucashService,
+    universalService,
+    scheduleService = new SyncScheduleService(),
+    instanceId = `${os.hostname()}:${process.pid}`,
+    tickMs = Number(process.env.AUTO_SYNC_TICK_MS) || 60000
+  }) {
+    this.gnucashService = gnucashService;
+    this.universalService = universalService;
+    this.scheduleService = scheduleService;
+    this.instanceId = instanceId;
+    this.tickMs = tickMs;
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  /**
+   * Whether an integration's schedule is due
+   */
+  isDue(integration, now = new Date()) {
+    if (!integration.lastSyncAt) return true;
+    return now - integration.lastSyncAt >= integration.syncInterval * 60 * 1000;
+  }
+
+  /**
+   * Run every due schedule once
+   */
+  async tick() {
+    const integrations = await prisma.systemIntegration.findMany({
+      where: { enabled: true, syncEnabled: true, autoSync: true, syncInterval: { gt: 0 } }
+    });
+
+    // GnuCash also needs the mapping config's syncRules.autoSync
+    const due = integrations.filter(integration => this.isDue(integration)
+      && (integration.systemName !== GNUCASH_SYSTEM || this.gnucashService.mappingConfig.syncRules.autoSync));
+
+    for (const integration of due) {
+      await this.runSchedule(integration.systemName).catch(error =>
+        console.error(`❌ Auto-sync of ${integration.systemName} failed:`, error.message));
+    }
+
+    for (const schedule of await this.scheduleService.listDueSchedules()) {
+      await this.runCronSchedule(schedule.id).catch(error =>
+        console.error(`❌ Scheduled ${schedule.entityType} sync to ${schedule.targetSystem} failed:`, error.message));
+    }
+  }
+
+  /**
+   * Sync one integration if this instance wins its leader lock and it is
+   * still due (another instance may have just run it)
+   */
+  async runSchedule(systemName) {
+    const lockName = `auto-sync:${systemName}`;
+    const integration = await prisma.systemIntegration.findUnique({ where: { systemName } });
+    const ttlMs = integration.syncInterval * 60 * 1000;
+
+    if (!(await acquireLeaderLock(lockName, this.instanceId, ttlMs))) {
+      return null;
+    }
+
+    try {
+      const current = await prisma.systemIntegration.findUnique({ where: { systemName } });
+      if (!this.isDue(current)) {
+        return null;
+      }
+
+      let summary;
+      try {
+        summary = systemName === GNUCASH_SYSTEM
+          ? await this.syncGnuCash(current.batchSize)
+          : await this.syncUniversal(systemName, current.batchSize);
+      } catch (error) {
+        await prisma.systemIntegration.update({
+          where: { systemName },
+          data: { lastSyncAt: new Date(), healthStatus: 'down' }
+        });
+        throw error;
+      }
+
+      const healthStatus = summary.failed === 0
+        ? 'healthy'
+        : (summary.failed === summary.total ? 'down' : 'degraded');
+      await prisma.systemIntegration.update({
+        where: { systemName },
+        data: { lastSyncAt: new Date(), healthStatus }
+      });
+
+      if (summary.total > 0) {
+        console.log(`🕒 Auto-sync of ${systemName}: ${summary.successful}/${summary.total} synced, ${summary.unchanged} unchanged, ${summary.failed} failed`);
+      }
+      return { ...summary, healthStatus };
+    } finally {
+      await releaseLeaderLock(lockName, this.instanceId);
+    }
+  }
+
+  /**
+   * Run a cron schedule if this instance wins its leader lock and it is
+   * still due, then record the run and its next run time
+   */
+  async runCronSchedule(scheduleId) {
+    const lockName = `sync-schedule:${scheduleId}`;
+    if (!(await acquireLeaderLock(lockName, this.instanceId, this.tickMs * 10))) {
+      return null;
+    }
+
+    try {
+      // Another instance may have just run it, or it was paused or deleted
+      const schedule = await prisma.syncSchedule.findUnique({ where: { id: scheduleId } });
+      if (!schedule || schedule.paused || !(schedule.nextRunAt <= new Date())) {
+        return null;
+      }
+
+      const { entityType, targetSystem } = schedule;
+      const integration = await prisma.systemIntegration.findUnique({ where: { systemName: targetSystem } });
+      const batchSize = schedule.batchSize
+        || integration?.batchSize
+        || (targetSystem === GNUCASH_SYSTEM && this.gnucashService.mappingConfig.syncRules.batchSize)
+        || 10;
+
+      let summary;
+      try {
+        summary = targetSystem === GNUCASH_SYSTEM
+          ? await this.syncGnuCash(batchSize, [entityType])
+          : await this.syncUniversal(targetSystem, batchSize, entityType);
+      } catch (error) {
+        summary = { error: error.message };
+      }
+
+      if (summary.total > 0 || summary.error) {
+        console.log(`🕒 Scheduled ${entityType} sync to ${targetSystem}:`, summary.error || `${summary.successful}/${summary.total} synced, ${summary.unchanged} unchanged, ${summary.failed} failed`);
+      }
+      return this.scheduleService.recordRun(scheduleId, summary);
+    } finally {
+      await releaseLeaderLock(lockName, this.instanceId);
+    }
+  }
+
+  /**
+   * Sync the PENDING and FAILED records of the given (enabled) entity types
+   * to GnuCash
+   */
+  async syncGnuCash(batchSize, entityTypes = Object.keys(getEntityModels())) {
+    const summary = { total: 0, successful: 0, failed: 0, unchanged: 0 };
+
+    for (const entityType of entityTypes) {
+      const model = getEntityModels()[entityType];
+      if (!model) continue;
+
+      const records = await prisma[model.delegate].findMany({
+        where: { gcSyncStatus: { in: ['PENDING', 'FAILED'] } },
+        select: { id: true }
+      });
+      if (records.length === 0) continue;
+
+      const result = await this.gnucashService.batchSyncToGnuCash(entityType, records.map(record => record.id), {}, batchSize);
+      summary.total += result.total;
+      summary.successful += result.successful + result.conflicts;
+      summary.failed += result.failed + result.queued;
+      summary.unchanged += result.unchanged;
+    }
+    return summary;
+  }
+
+  /**
+   * Re-sync a system's PENDING and FAILED universal entities (of one source
+   * entity type, if given) from their raw source data
+   */
+  async syncUniversal(systemName, batchSize, entityType = null) {
+    const entities = await prisma.universalEntity.findMany({
+      where: {
+        sourceSystem: systemName,
+        ...(entityType && { sourceEntityType: entityType }),
+        syncStatus: { in: ['PENDING', 'FAILED'] },
+        rawData: { not: null }
+      }
+    });
+
+    const summary = { total: entities.length, successful: 0, failed: 0, unchanged: 0 };
+    for (let i = 0; i < entities.length; i += batchSize) {
+      const results = await Promise.allSettled(entities.slice(i, i + batchSize).map(entity =>
+        this.universalService.syncViaQueue(systemName, entity.sourceEntityType, entity.sourceEntityId, JSON.parse(entity.rawData))));
+      const fulfilled = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+
+      summary.successful += fulfilled.filter(result => !result.queued && !result.unchanged).length;
+      summary.unchanged += fulfilled.filter(result => result.unchanged).length;
+    }
+    summary.failed = summary.total - summary.successful - summary.unchanged;
+    return summary;
+  }
+
+  /**
+   * Start ticking
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      if (this.ticking) return;
+      this.ticking = this.tick()
+        .catch(error => console.error('❌ Auto-sync scheduler error:', error.message))
+        .finally(() => { this.ticking = null; });
+    }, this.tickMs);
+    console.log(`✅ Auto-sync scheduler started (checking every ${Math.round(this.tickMs / 1000)}s)`);
+  }
+
+  /**
+   * Stop ticking; a run in progress is allowed to finish
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.ticking;
+  }
+}
+
+export default AutoSyncScheduler;
@@ -0,0 +1,39 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Caller Context - Who the current gRPC call (or sync job) runs for
+ *
+ * The auth interceptor runs each call's handler inside the caller's
+ * context, and sync jobs run inside the context of the caller that queued
+ * them, so services can record the caller without it being passed down.
+ *
+ * A caller is { type, subject }: type is "api_key" (subject: the key's
+ * name) or "jwt" (subject: the token's sub claim). Records store it as a
+ * label, "<type>:<subject>". Outside any call (e.g. auto-sync runs) there
+ * is no caller.
+ */
+
+const callerStorage = new AsyncLocalStorage();
+
+/**
+ * Run fn, and everything it starts, as the caller
+ */
+export const runAsCaller = (caller, fn) => callerStorage.run(caller || null, fn);
+
+export const currentCaller = () => callerStorage.getStore() || null;
+
+/**
+ * "<type>:<subject>" label of a caller (the current one by default), or
+ * null when there is none
+ */
+export const callerLabel = (caller = currentCaller()) =>
+  (caller ? `${caller.type}:${caller.subject}` : null);
+
+/**
+ * Caller of a stored label
+ */
+export const parseCallerLabel = (label) => {
+  if (!label) return null;
+  const separator = label.indexOf(':');
+  return { type: label.slice(0, separator), subject: label.slice(separator + 1) };
+};
@@ -0,0 +1,51 @@
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+
+const prisma = new PrismaClient();
+
+/**
+ * Content Hash - Skip syncs of records that have not changed
+ *
+ * After a successful sync the mapped output is hashed and stored per record
+ * and target system (the SyncContentHash table). A later sync whose mapped
+ * output hashes the same has nothing to write and is skipped.
+ *
+ * A record is identified by a key { targetSystem, sourceSystem, entityType,
+ * entityId }.
+ */
+
+/**
+ * JSON with object keys sorted, so equal values serialize equally
+ */
+const canonicalJson = (value) => JSON.stringify(value, (key, nested) =>
+  nested && typeof nested === 'object' && !Array.isArray(nested) && !(nested instanceof Date)
+    ? Object.fromEntries(Object.keys(nested).sort().map(k => [k, nested[k]]))
+    : nested);
+
+/**
+ * SHA-256 of a mapped output
+ */
+export const hashContent = (value) =>
+  crypto.createHash('sha256').update(canonicalJson(value)).digest('hex');
+
+/**
+ * Whether `hash` is the hash stored at the record's last sync
+ */
+export const isContentUnchanged = async (key, hash) => {
+  const stored = await prisma.syncContentHash.findUnique({
+    where: { targetSystem_sourceSystem_entityType_entityId: { ...key, entityId: String(key.entityId) } }
+  });
+  return stored?.hash === hash;
+};
+
+/**
+ * Store the hash of what a sync just wrote
+ */
+export const saveContentHash = async (key, hash) => {
+  const entityKey = { ...key, entityId: String(key.entityId) };
+  await prisma.syncContentHash.upsert({
+    where: { targetSystem_sourceSystem_entityType_entityId: entityKey },
+    update: { hash },
+    create: { ...entityKey, hash }
+  });
+};
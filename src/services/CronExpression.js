@@ -0,0 +1,224 @@
+/**
+ * Cron Expression - Five-field cron schedules evaluated in a time zone
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12 or JAN-DEC)
+ *   │ │ │ │ ┌ day of week (0-7 or SUN-SAT; 0 and 7 are Sunday)
+ *   0 2 * * *
+ *
+ * Fields take `*`, values, ranges (`9-17`), lists (`1,15`) and steps
+ * (`*\/15`, `9-17/2`). As in standard cron, when both day fields are
+ * restricted (neither starts with `*`) a day matching either one runs.
+ * The macros @yearly, @monthly, @weekly, @daily (or @nightly) and @hourly
+ * are accepted too.
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@nightly': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const MINUTE_MS = 60 * 1000;
+
+const DAY_MINUTES = 24 * 60;
+
+// Longest each month can be (February in leap years)
+const MONTH_MAX_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Give up looking for a next run this far ahead (covers Feb 29 schedules)
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+const formatters = new Map();
+
+/**
+ * Wall-clock fields of a date in a time zone
+ */
+const localParts = (date, timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timezone).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    year: Number(parts.year),
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+};
+
+/**
+ * Whether `timezone` is an IANA time zone this runtime knows
+ */
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Parse one field into the set of values it matches
+ */
+const parseField = (text, field) => {
+  const toNumber = (value, part) => {
+    const index = field.names?.indexOf(value.toUpperCase()) ?? -1;
+    const number = index >= 0 ? index + field.offset : /^\d+$/.test(value) ? Number(value) : NaN;
+    if (!(number >= field.min && number <= field.max)) {
+      throw new Error(`Invalid ${field.name} in cron expression: ${part || text}`);
+    }
+    return number;
+  };
+
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in cron expression: ${part}`);
+    }
+
+    let [start, end] = [field.min, field.max];
+    if (range !== '*') {
+      const bounds = range.split('-');
+      if (bounds.length > 2) {
+        throw new Error(`Invalid range in cron expression: ${part}`);
+      }
+      const [from, to] = bounds;
+      start = toNumber(from, part);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : toNumber(to, part);
+    }
+    if (start > end) {
+      throw new Error(`Invalid range in cron expression: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+  return values;
+};
+
+export class CronExpression {
+  /**
+   * Parse `expression`; throws if it is not a valid five-field expression
+   * or `timezone` is unknown
+   */
+  constructor(expression, timezone = 'UTC') {
+    if (!isValidTimezone(timezone)) {
+      throw new Error(`Unknown time zone: ${timezone}`);
+    }
+
+    const source = MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+    const fields = source.split(/\s+/);
+    if (fields.length !== 5) {
+      throw new Error(`Cron expression must have 5 fields (minute hour day month weekday): ${expression}`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((text, i) => parseField(text, FIELDS[i]));
+    if (weekdays.has(7)) {
+      weekdays.add(0);
+    }
+
+    this.expression = expression;
+    this.timezone = timezone;
+    this.minutes = [...minutes].sort((a, b) => a - b);
+    this.hours = hours;
+    this.days = days;
+    this.months = months;
+    this.weekdays = weekdays;
+    this.anyDay = fields[2].startsWith('*');
+    this.anyWeekday = fields[4].startsWith('*');
+
+    // e.g. "0 0 31 2 *": none of the days occurs in any of the months
+    this.neverRuns = !this.anyDay && this.anyWeekday
+      && ![...months].some(month => [...days].some(day => day <= MONTH_MAX_DAYS[month - 1]));
+  }
+
+  matchesDay({ day, month, weekday }) {
+    if (!this.months.has(month)) return false;
+    if (this.anyDay) return this.weekdays.has(weekday);
+    if (this.anyWeekday) return this.days.has(day);
+    return this.days.has(day) || this.weekdays.has(weekday);
+  }
+
+  /**
+   * The first run strictly after `after`, or null if there is none within
+   * five years (e.g. "0 0 31 2 *")
+   */
+  next(after = new Date()) {
+    if (this.neverRuns) return null;
+
+    let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const limit = time + SEARCH_LIMIT_MS;
+
+    // Skip months and days that do not match, then go hour by hour until the
+    // hour matches and jump to the minute. Skips are in wall-clock minutes
+    // and stop an hour short, so a DST change in between cannot overshoot.
+    while (time < limit) {
+      const parts = localParts(new Date(time), this.timezone);
+      const minutesToMidnight = DAY_MINUTES - parts.hour * 60 - parts.minute;
+      let skipMinutes = 0;
+
+      if (!this.months.has(parts.month)) {
+        const daysInMonth = new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate();
+        skipMinutes = (daysInMonth - parts.day) * DAY_MINUTES + minutesToMidnight - 60;
+      } else if (!this.matchesDay(parts)) {
+        skipMinutes = minutesToMidnight - 60;
+      } else if (this.hours.has(parts.hour)) {
+        const minute = this.minutes.find(m => m >= parts.minute);
+        if (minute !== undefined) {
+          return new Date(time + (minute - parts.minute) * MINUTE_MS);
+        }
+      }
+      time += Math.max(skipMinutes, 60 - parts.minute) * MINUTE_MS;
+    }
+    return null;
+  }
+
+  /**
+   * The next `count` runs after `after`
+   */
+  upcoming(count, after = new Date()) {
+    const runs = [];
+    let run = this.next(after);
+    while (run && runs.length < count) {
+      runs.push(run);
+      run = this.next(run);
+    }
+    return runs;
+  }
+}
+
+export default CronExpression;
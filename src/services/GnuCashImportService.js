@@ -0,0 +1,347 @@
+import { PrismaClient } from '@prisma/client';
+import fs from 'fs/promises';
+import path from 'path';
+import GnuCashXmlBackend, { toGnuCashGuid } from './GnuCashXmlBackend.js';
+import { TOP_LEVEL_ACCOUNT_TYPES, ValidationError, getEntityModels } from './GnuCashSyncService.js';
+import transformRegistry from './TransformRegistry.js';
+import { callerLabel } from './CallerContext.js';
+
+const prisma = new PrismaClient();
+
+// importDefaults value that stands for the time of the import
+const IMPORT_TIME = '$now';
+
+/**
+ * GnuCash Import Service - Reads a GnuCash book back into the database
+ * (the gc_to_qb sync direction)
+ *
+ * Accounts are matched to QBClass, Account and Taxation rows by gcAccountId,
+ * then by code, then by name. Matched rows are updated and unmatched accounts
+ * in the location a mapping writes to are created, using the inverse of the
+ * entityMapping.json field mappings and the mapping's importDefaults, unless
+ * the mapping turns off createOnImport. Rows that also changed in the database
+ * since the last sync go through the conflict policy. Every change is logged
+ * to GnuCashSyncLog with direction gc_to_qb.
+ */
+export class GnuCashImportService {
+  constructor(syncService) {
+    this.syncService = syncService;
+  }
+
+  get mappingConfig() {
+    return this.syncService.mappingConfig;
+  }
+
+  /**
+   * Open the book to import: the configured book by default, or another
+   * GnuCash XML book in the same directory (filePath is relative to it).
+   * Paths outside that directory, also through symlinks, are rejected.
+   */
+  async openBook(filePath) {
+    const bookBackend = this.syncService.bookBackend;
+    const bookDir = path.dirname(bookBackend.filePath);
+    const resolvedPath = filePath ? path.resolve(bookDir, filePath) : bookBackend.filePath;
+
+    const realPath = (target) => fs.realpath(target).catch(() => target);
+    const relativePath = path.relative(await realPath(bookDir), await realPath(resolvedPath));
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      throw new ValidationError([{
+        field: 'filePath',
+        rule: 'book_directory',
+        message: `filePath must name a book in the GnuCash book directory (${bookDir})`
+      }]);
+    }
+
+    const backend = resolvedPath === bookBackend.filePath
+      ? bookBackend
+      : new GnuCashXmlBackend({ filePath: resolvedPath });
+
+    await backend.reload();
+    return backend;
+  }
+
+  /**
+   * Enabled mappings, in config order
+   */
+  getEntityTypes() {
+    return Object.keys(getEntityModels());
+  }
+
+  /**
+   * Find the QB field written to a given GnuCash field
+   */
+  getQbField(entityType, gcField) {
+    const fieldMappings = this.mappingConfig.mappings[entityType].fieldMappings;
+    return Object.keys(fieldMappings).find(qbField => fieldMappings[qbField].gcField === gcField);
+  }
+
+  /**
+   * GnuCash account types a mapping can produce
+   */
+  getAccountTypes(entityType) {
+    const mapping = this.mappingConfig.mappings[entityType];
+    for (const fieldConfig of Object.values(mapping.fieldMappings)) {
+      const step = transformRegistry.parse(fieldConfig.transform)
+        .find(({ name }) => name === 'account_type_mapping' || name === 'lookup');
+      const table = step && (step.args[0] ? this.mappingConfig.lookupTables?.[step.args[0]] : fieldConfig.mappingRules);
+
+      if (table && ['type', 'account_type'].includes(fieldConfig.gcField)) {
+        return new Set(Object.values(table));
+      }
+    }
+    return new Set([mapping.defaultValues?.type || 'ASSET']);
+  }
+
+  /**
+   * Account names from the root down to (and including) the account
+   */
+  getAccountPath(account, accountsByGuid) {
+    const names = [];
+    for (let current = account; current && current.type !== 'ROOT'; current = accountsByGuid.get(current.parentGuid)) {
+      names.unshift(current.name);
+    }
+    return names;
+  }
+
+  /**
+   * Match a GnuCash account to a database row by gcAccountId, then by code,
+   * then by name. Code and name only match rows of an entity type that
+   * produces this account type and that are not linked to another account
+   * still in the book.
+   */
+  matchAccount(account, rowsByType, claimed, backend) {
+    const entityTypes = this.getEntityTypes();
+
+    for (const entityType of entityTypes) {
+      const row = rowsByType[entityType].find(r =>
+        r.gcAccountId && toGnuCashGuid(r.gcAccountId) === account.guid);
+      if (row) {
+        return { entityType, row, matchedBy: 'gcAccountId' };
+      }
+    }
+
+    const candidates = entityTypes.filter(entityType => this.getAccountTypes(entityType).has(account.type));
+    for (const gcField of ['code', 'name']) {
+      if (!account[gcField]) continue;
+
+      for (const entityType of candidates) {
+        const qbField = this.getQbField(entityType, gcField);
+        if (!qbField) continue;
+
+        const row = rowsByType[entityType].find(r =>
+          !claimed.has(`${entityType}:${r.id}`)
+          && (!r.gcAccountId || !backend.findAccount(r.gcAccountId))
+          && r[qbField] !== null && String(r[qbField]) === account[gcField]);
+        if (row) {
+          return { entityType, row, matchedBy: gcField };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Pick the entity type to create for an unmatched account: the account
+   * must have a type the mapping produces and sit under the mapping's parent.
+   * Records of a nestByFullName mapping may also sit under another record's
+   * account of the same type (e.g. sub-classes).
+   */
+  getEntityTypeForNewAccount(account, accountPath, guidsByType) {
+    if (accountPath.length === 1 && TOP_LEVEL_ACCOUNT_TYPES[account.name]) {
+      return null;
+    }
+    const parentPath = accountPath.slice(0, -1).join(':');
+
+    return this.getEntityTypes().find(entityType => {
+      const mapping = this.mappingConfig.mappings[entityType];
+      if (!this.getAccountTypes(entityType).has(account.type)) return false;
+      if (mapping.nestByFullName && guidsByType[entityType].has(account.parentGuid)) return true;
+      return parentPath === (mapping.defaultValues?.parent || '');
+    }) || null;
+  }
+
+  /**
+   * Update a matched row with the fields that changed in GnuCash. If the
+   * row also changed since the last sync, the conflict policy decides.
+   */
+  async updateEntity(entityType, row, account, matchedBy, backend) {
+    const changes = this.syncService.getGnuCashChanges(entityType, row, account);
+
+    const relinked = !row.gcAccountId || toGnuCashGuid(row.gcAccountId) !== account.guid;
+    if (Object.keys(changes).length === 0 && !relinked) {
+      return 'unchanged';
+    }
+
+    const conflict = !relinked && this.syncService.detectConflict(entityType, row, account.guid, backend);
+    if (conflict) {
+      const resolution = await this.syncService.pickConflictResolution(entityType, row, backend);
+      if (resolution !== 'gc_wins') {
+        const parked = resolution === 'manual'
+          ? await this.syncService.parkConflict(entityType, row, conflict, 'gc_to_qb')
+          : null;
+
+        await this.logImport(entityType, row.id, backend, {
+          gcAccountId: account.guid,
+          operation: 'conflict',
+          resolution,
+          conflictId: parked?.id,
+          qbChanges: conflict.qbChanges,
+          gcChanges: conflict.gcChanges
+        }, null, parked ? 'CONFLICT' : 'SYNCED');
+        return 'conflict';
+      }
+    }
+
+    await this.syncService.applyGnuCashToRecord(entityType, row, account, changes);
+
+    await this.logImport(entityType, row.id, backend, {
+      gcAccountId: account.guid,
+      operation: 'update',
+      matchedBy,
+      changes
+    });
+    return 'updated';
+  }
+
+  /**
+   * Create a row for an unmatched account: its mapped fields, over the
+   * mapping's importDefaults for the columns GnuCash does not hold. Records
+   * of a nestByFullName mapping under another record's account are created
+   * as sub-records (isSubClass, with the account path as fullName).
+   */
+  async createEntity(entityType, account, accountPath, guidsByType, rowsByType, backend) {
+    const mapping = this.mappingConfig.mappings[entityType];
+    const importDefaults = Object.fromEntries(Object.entries(mapping.importDefaults || {})
+      .map(([field, value]) => [field, value === IMPORT_TIME ? new Date() : value]));
+    const qbData = Object.fromEntries(Object.entries(this.syncService.mapAccountToEntity(entityType, account))
+      .filter(([field, value]) => (value !== undefined && value !== null) || !(field in importDefaults)));
+    const data = { ...importDefaults, ...qbData };
+
+    if (mapping.nestByFullName) {
+      data.isSubClass = guidsByType[entityType].has(account.parentGuid);
+      data.fullName = data.fullName ?? (data.isSubClass ? accountPath.join(':') : null);
+    }
+
+    const missing = [...new Set([
+      ...Object.keys(mapping.fieldMappings).filter(qbField => mapping.fieldMappings[qbField].required),
+      ...getEntityModels()[entityType].requiredFields
+    ])].filter(field => data[field] === undefined || data[field] === null);
+    if (missing.length > 0) {
+      throw new Error(`Missing required fields for ${entityType}: ${missing.join(', ')} (map them, or set them in the mapping's importDefaults)`);
+    }
+
+    const created = await prisma[getEntityModels()[entityType].delegate].create({
+      data: {
+        ...data,
+        gcSyncStatus: 'SYNCED',
+        gcSyncedAt: new Date(),
+        gcAccountId: account.guid,
+        gcSnapshot: JSON.stringify(this.syncService.accountSnapshot(account))
+      }
+    });
+    rowsByType[entityType].push(created);
+
+    await this.logImport(entityType, created.id, backend, {
+      gcAccountId: account.guid,
+      operation: 'create',
+      changes: Object.fromEntries(Object.entries(data).map(([field, value]) => [field, { from: null, to: value }]))
+    });
+    return created;
+  }
+
+  async logImport(entityType, entityId, backend, metadata, error = null, syncStatus = 'SYNCED') {
+    await prisma.gnuCashSyncLog.create({
+      data: {
+        entityType,
+        entityId: String(entityId),
+        syncStatus: error ? 'FAILED' : syncStatus,
+        syncDirection: 'gc_to_qb',
+        gcFilePath: backend.filePath,
+        errorMessage: error?.message,
+        syncCompletedAt: new Date(),
+        metadata: JSON.stringify(metadata),
+        triggeredBy: callerLabel()
+      }
+    });
+  }
+
+  /**
+   * Import every account of a GnuCash book into the database
+   */
+  async importFromGnuCash(filePath = null) {
+    const backend = await this.openBook(filePath);
+    const accounts = backend.getAccounts();
+    const accountsByGuid = new Map(accounts.map(a => [a.guid, a]));
+
+    const rowsByType = {};
+    for (const entityType of this.getEntityTypes()) {
+      rowsByType[entityType] = await prisma[getEntityModels()[entityType].delegate].findMany();
+    }
+
+    // Parents first, so sub-records can see their parent record
+    const ordered = accounts
+      .filter(a => a.type !== 'ROOT')
+      .map(account => ({ account, accountPath: this.getAccountPath(account, accountsByGuid) }))
+      .sort((a, b) => a.accountPath.length - b.accountPath.length);
+
+    const claimed = new Set();
+    // Accounts of the records seen so far, by entity type
+    const guidsByType = Object.fromEntries(this.getEntityTypes().map(entityType => [entityType, new Set()]));
+    const summary = { total: ordered.length, created: 0, updated: 0, unchanged: 0, skipped: 0, failed: 0, conflicts: 0, details: [] };
+
+    for (const { account, accountPath } of ordered) {
+      const fullName = accountPath.join(':');
+      let entityType = null;
+
+      try {
+        const match = this.matchAccount(account, rowsByType, claimed, backend);
+
+        if (match) {
+          entityType = match.entityType;
+          claimed.add(`${entityType}:${match.row.id}`);
+          const outcome = await this.updateEntity(entityType, match.row, account, match.matchedBy, backend);
+          summary[outcome === 'conflict' ? 'conflicts' : outcome]++;
+          summary.details.push({ account: fullName, entityType, entityId: match.row.id, outcome });
+        } else {
+          entityType = this.getEntityTypeForNewAccount(account, accountPath, guidsByType);
+          if (!entityType) {
+            summary.skipped++;
+            continue;
+          }
+          if (this.mappingConfig.mappings[entityType].createOnImport === false) {
+            summary.skipped++;
+            summary.details.push({
+              account: fullName,
+              entityType,
+              outcome: 'skipped',
+              reason: `${entityType} records are not created by imports (createOnImport is off in its mapping); create the record, then import again to link it`
+            });
+            continue;
+          }
+          const created = await this.createEntity(entityType, account, accountPath, guidsByType, rowsByType, backend);
+          claimed.add(`${entityType}:${created.id}`);
+          summary.created++;
+          summary.details.push({ account: fullName, entityType, entityId: created.id, outcome: 'created' });
+        }
+
+        guidsByType[entityType].add(account.guid);
+      } catch (error) {
+        summary.failed++;
+        summary.details.push({ account: fullName, entityType, outcome: 'failed', error: error.message });
+
+        await this.logImport(entityType || 'Unknown', account.guid, backend, {
+          gcAccountId: account.guid,
+          account: fullName
+        }, error).catch(() => {});
+
+        console.error(`❌ Failed to import GnuCash account ${fullName}:`, error.message);
+      }
+    }
+
+    console.log(`✅ Imported ${backend.filePath}: ${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged`);
+    return { filePath: backend.filePath, ...summary };
+  }
+}
+
+export default GnuCashImportService;
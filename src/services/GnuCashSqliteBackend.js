@@ -0,0 +1,405 @@
+import fs from 'fs/promises';
+import { statSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { toGnuCashGuid, newGnuCashGuid, isNullGuid } from './GnuCashXmlBackend.js';
+import { AccountChangeTracker } from './AccountChangeTracker.js';
+
+// KvpValue::Type::STRING in GnuCash
+const SLOT_TYPE_STRING = 4;
+
+// GnuCash stores timestamps as UTC "YYYY-MM-DD HH:MM:SS"
+const formatTimestamp = (date) => new Date(date).toISOString().slice(0, 19).replace('T', ' ');
+
+const TABLE_VERSIONS = {
+  Gnucash: 5000000,
+  'Gnucash-Resave': 19920,
+  books: 1,
+  commodities: 1,
+  accounts: 1,
+  budgets: 1,
+  budget_amounts: 1,
+  prices: 3,
+  transactions: 4,
+  splits: 5,
+  slots: 4,
+  recurrences: 2,
+  schedxactions: 1,
+  lots: 2,
+  billterms: 2,
+  customers: 2,
+  employees: 2,
+  entries: 4,
+  invoices: 4,
+  jobs: 1,
+  orders: 1,
+  taxtables: 2,
+  taxtable_entries: 3,
+  vendors: 1
+};
+
+const ADDRESS_COLUMNS = (prefix) => ['name', 'addr1', 'addr2', 'addr3', 'addr4']
+  .map(field => `${prefix}_${field} text(1024)`)
+  .concat([`${prefix}_phone text(128)`, `${prefix}_fax text(128)`, `${prefix}_email text(256)`])
+  .join(', ');
+
+// The schema GnuCash itself creates for a new SQLite book
+const SCHEMA = `
+CREATE TABLE gnclock (Hostname varchar(255), PID int);
+CREATE TABLE versions (table_name text(50) PRIMARY KEY NOT NULL, table_version integer NOT NULL);
+CREATE TABLE books (guid text(32) PRIMARY KEY NOT NULL, root_account_guid text(32) NOT NULL, root_template_guid text(32) NOT NULL);
+CREATE TABLE commodities (guid text(32) PRIMARY KEY NOT NULL, namespace text(2048) NOT NULL, mnemonic text(2048) NOT NULL, fullname text(2048), cusip text(2048), fraction integer NOT NULL, quote_flag integer NOT NULL, quote_source text(2048), quote_tz text(2048));
+CREATE TABLE accounts (guid text(32) PRIMARY KEY NOT NULL, name text(2048) NOT NULL, account_type text(2048) NOT NULL, commodity_guid text(32), commodity_scu integer NOT NULL, non_std_scu integer NOT NULL, parent_guid text(32), code text(2048), description text(2048), hidden integer, placeholder integer);
+CREATE TABLE budgets (guid text(32) PRIMARY KEY NOT NULL, name text(2048) NOT NULL, description text(2048), num_periods integer NOT NULL);
+CREATE TABLE budget_amounts (id integer PRIMARY KEY AUTOINCREMENT NOT NULL, budget_guid text(32) NOT NULL, account_guid text(32) NOT NULL, period_num integer NOT NULL, amount_num bigint NOT NULL, amount_denom bigint NOT NULL);
+CREATE TABLE prices (guid text(32) PRIMARY KEY NOT NULL, commodity_guid text(32) NOT NULL, currency_guid text(32) NOT NULL, date text(19) NOT NULL, source text(2048), type text(2048), value_num bigint NOT NULL, value_denom bigint NOT NULL);
+CREATE TABLE transactions (guid text(32) PRIMARY KEY NOT NULL, currency_guid text(32) NOT NULL, num text(2048) NOT NULL, post_date text(19), enter_date text(19), description text(2048));
+CREATE INDEX tx_post_date_index ON transactions (post_date);
+CREATE TABLE splits (guid text(32) PRIMARY KEY NOT NULL, tx_guid text(32) NOT NULL, account_guid text(32) NOT NULL, memo text(2048) NOT NULL, action text(2048) NOT NULL, reconcile_state text(1) NOT NULL, reconcile_date text(19), value_num bigint NOT NULL, value_denom bigint NOT NULL, quantity_num bigint NOT NULL, quantity_denom bigint NOT NULL, lot_guid text(32));
+CREATE INDEX splits_tx_guid_index ON splits (tx_guid);
+CREATE INDEX splits_account_guid_index ON splits (account_guid);
+CREATE TABLE slots (id integer PRIMARY KEY AUTOINCREMENT NOT NULL, obj_guid text(32) NOT NULL, name text(4096) NOT NULL, slot_type integer NOT NULL, int64_val bigint, string_val text(4096), double_val float8, timespec_val text(19), guid_val text(32), numeric_val_num bigint, numeric_val_denom bigint, gdate_val text(8));
+CREATE INDEX slots_guid_index ON slots (obj_guid);
+CREATE TABLE recurrences (id integer PRIMARY KEY AUTOINCREMENT NOT NULL, obj_guid text(32) NOT NULL, recurrence_mult integer NOT NULL, recurrence_period_type text(2048) NOT NULL, recurrence_period_start text(8) NOT NULL, recurrence_weekend_adjust text(2048) NOT NULL);
+CREATE TABLE schedxactions (guid text(32) PRIMARY KEY NOT NULL, name text(2048), enabled integer NOT NULL, start_date text(8), end_date text(8), last_occur text(8), num_occur integer NOT NULL, rem_occur integer NOT NULL, auto_create integer NOT NULL, auto_notify integer NOT NULL, adv_creation integer NOT NULL, adv_notify integer NOT NULL, instance_count integer NOT NULL, template_act_guid text(32) NOT NULL);
+CREATE TABLE lots (guid text(32) PRIMARY KEY NOT NULL, account_guid text(32), is_closed integer NOT NULL);
+CREATE TABLE billterms (guid text(32) PRIMARY KEY NOT NULL, name text(2048) NOT NULL, description text(2048) NOT NULL, refcount integer NOT NULL, invisible integer NOT NULL, parent text(32), type text(2048) NOT NULL, duedays integer, discountdays integer, discount_num bigint, discount_denom bigint, cutoff integer);
+CREATE TABLE customers (guid text(32) PRIMARY KEY NOT NULL, name text(2048) NOT NULL, id text(2048) NOT NULL, notes text(2048) NOT NULL, active integer NOT NULL, discount_num bigint NOT NULL, discount_denom bigint NOT NULL, credit_num bigint NOT NULL, credit_denom bigint NOT NULL, currency text(32) NOT NULL, tax_override integer NOT NULL, ${ADDRESS_COLUMNS('addr')}, ${ADDRESS_COLUMNS('shipaddr')}, terms text(32), tax_included integer, taxtable text(32));
+CREATE TABLE employees (guid text(32) PRIMARY KEY NOT NULL, username text(2048) NOT NULL, id text(2048) NOT NULL, language text(2048) NOT NULL, acl text(2048) NOT NULL, active integer NOT NULL, currency text(32) NOT NULL, ccard_guid text(32), workday_num bigint NOT NULL, workday_denom bigint NOT NULL, rate_num bigint NOT NULL, rate_denom bigint NOT NULL, ${ADDRESS_COLUMNS('addr')});
+CREATE TABLE entries (guid text(32) PRIMARY KEY NOT NULL, date text(19) NOT NULL, date_entered text(19), description text(2048), action text(2048), notes text(2048), quantity_num bigint, quantity_denom bigint, i_acct text(32), i_price_num bigint, i_price_denom bigint, i_discount_num bigint, i_discount_denom bigint, invoice text(32), i_disc_type text(2048), i_disc_how text(2048), i_taxable integer, i_taxincluded integer, i_taxtable text(32), b_acct text(32), b_price_num bigint, b_price_denom bigint, bill text(32), b_taxable integer, b_taxincluded integer, b_taxtable text(32), b_paytype integer, billable integer, billto_type integer, billto_guid text(32), order_guid text(32));
+CREATE TABLE invoices (guid text(32) PRIMARY KEY NOT NULL, id text(2048) NOT NULL, date_opened text(19), date_posted text(19), notes text(2048) NOT NULL, active integer NOT NULL, currency text(32) NOT NULL, owner_type integer, owner_guid text(32), terms text(32), billing_id text(2048), post_txn text(32), post_lot text(32), post_acc text(32), billto_type integer, billto_guid text(32), charge_amt_num bigint, charge_amt_denom bigint);
+CREATE TABLE jobs (guid text(32) PRIMARY KEY NOT NULL, id text(2048) NOT NULL, name text(2048) NOT NULL, reference text(2048) NOT NULL, active integer NOT NULL, owner_type integer, owner_guid text(32));
+CREATE TABLE orders (guid text(32) PRIMARY KEY NOT NULL, id text(2048) NOT NULL, notes text(2048) NOT NULL, reference text(2048) NOT NULL, active integer NOT NULL, date_opened text(19) NOT NULL, date_closed text(19) NOT NULL, owner_type integer NOT NULL, owner_guid text(32) NOT NULL);
+CREATE TABLE taxtables (guid text(32) PRIMARY KEY NOT NULL, name text(50) NOT NULL, refcount bigint NOT NULL, invisible integer NOT NULL, parent text(32));
+CREATE TABLE taxtable_entries (id integer PRIMARY KEY AUTOINCREMENT NOT NULL, taxtable text(32) NOT NULL, account text(32) NOT NULL, amount_num bigint NOT NULL, amount_denom bigint NOT NULL, type integer NOT NULL);
+CREATE TABLE vendors (guid text(32) PRIMARY KEY NOT NULL, name text(2048) NOT NULL, id text(2048) NOT NULL, notes text(2048) NOT NULL, currency text(32) NOT NULL, active integer NOT NULL, tax_override integer NOT NULL, ${ADDRESS_COLUMNS('addr')}, terms text(32), tax_inc text(2048), tax_table text(32));
+`;
+
+/**
+ * GnuCash SQLite Backend - Reads and writes a GnuCash SQLite (.gnucash) book
+ *
+ * Same interface as GnuCashXmlBackend, so either can be selected through
+ * gnucashConfig.fileFormat. Changes are written row by row inside a
+ * transaction, so GnuCash data outside the synced accounts is left untouched.
+ *
+ * Like GnuCash, we hold a row in gnclock while writing, and refuse to write
+ * while another process (GnuCash desktop has the book open) holds one.
+ */
+export class GnuCashSqliteBackend {
+  constructor({ filePath, rootGuid = null, defaultCurrency = 'USD' }) {
+    this.filePath = filePath;
+    this.configuredRootGuid = isNullGuid(rootGuid) ? null : toGnuCashGuid(rootGuid);
+    this.defaultCurrency = defaultCurrency;
+
+    this.db = null;
+    this.bookGuid = null;
+    this.rootGuid = null;
+    this.templateRootGuid = null;
+
+    this.changes = new AccountChangeTracker();
+    this.seenMtimeMs = null;
+  }
+
+  /**
+   * Open the book, creating the GnuCash schema if the file is new
+   */
+  async open() {
+    if (this.db) return this;
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+
+    const hasSchema = this.db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'books'")
+      .get();
+    if (!hasSchema) {
+      this.createBook();
+    }
+
+    const book = this.db.prepare('SELECT * FROM books LIMIT 1').get();
+    if (!book) {
+      throw new Error(`GnuCash book has no books row: ${this.filePath}`);
+    }
+    this.bookGuid = book.guid;
+    this.rootGuid = book.root_account_guid;
+    this.templateRootGuid = book.root_template_guid;
+    return this;
+  }
+
+  /**
+   * Rows are read straight from the file, so there is nothing to refresh
+   */
+  async reload() {
+    return this.open();
+  }
+
+  /**
+   * When an account last changed outside this process (see
+   * AccountChangeTracker), or null
+   */
+  async getAccountModifiedAt(guid) {
+    await this.open();
+    this.observeChanges();
+    return this.changes.modifiedAt(toGnuCashGuid(guid));
+  }
+
+  /**
+   * Compare the accounts with how they were last seen if the file changed
+   * since; `ownWrite` when we just wrote it
+   */
+  observeChanges(ownWrite = false) {
+    const mtimeMs = statSync(this.filePath).mtimeMs;
+    if (mtimeMs !== this.seenMtimeMs || ownWrite) {
+      this.changes.observe(this.getAccounts(), new Date(mtimeMs), ownWrite);
+      this.seenMtimeMs = mtimeMs;
+    }
+  }
+
+  /**
+   * Create the schema, book row and root accounts of a new book
+   */
+  createBook() {
+    const bookGuid = newGnuCashGuid();
+    const rootGuid = this.configuredRootGuid || newGnuCashGuid();
+    const templateRootGuid = newGnuCashGuid();
+
+    this.db.transaction(() => {
+      this.db.exec(SCHEMA);
+
+      const insertVersion = this.db.prepare('INSERT INTO versions (table_name, table_version) VALUES (?, ?)');
+      Object.entries(TABLE_VERSIONS).forEach(([table, version]) => insertVersion.run(table, version));
+
+      this.db.prepare('INSERT INTO books (guid, root_account_guid, root_template_guid) VALUES (?, ?, ?)')
+        .run(bookGuid, rootGuid, templateRootGuid);
+
+      const currencyGuid = this.ensureCommodity(this.defaultCurrency);
+      const insertRoot = this.db.prepare(`
+        INSERT INTO accounts (guid, name, account_type, commodity_guid, commodity_scu, non_std_scu, parent_guid, code, description, hidden, placeholder)
+        VALUES (?, ?, 'ROOT', ?, 100, 0, NULL, '', '', 0, 0)
+      `);
+      insertRoot.run(rootGuid, 'Root Account', currencyGuid);
+      insertRoot.run(templateRootGuid, 'Template Root', null);
+    })();
+  }
+
+  /**
+   * Run a write holding the book lock: our gnclock row is committed before
+   * the write and removed after it, so GnuCash sees the book as in use
+   * meanwhile. Throws, without writing, while another process holds a lock.
+   */
+  writeLocked(write) {
+    const hostname = os.hostname().slice(0, 255);
+    const pid = process.pid;
+
+    // Changes made elsewhere since we last looked are not ours
+    this.observeChanges();
+
+    this.db.transaction(() => {
+      const lock = this.db
+        .prepare('SELECT Hostname, PID FROM gnclock WHERE NOT (Hostname = ? AND PID = ?) LIMIT 1')
+        .get(hostname, pid);
+      if (lock) {
+        throw new Error(`GnuCash book ${this.filePath} is open in GnuCash on ${lock.Hostname} (PID ${lock.PID}); close it there to sync`);
+      }
+      this.db.prepare('INSERT INTO gnclock (Hostname, PID) VALUES (?, ?)').run(hostname, pid);
+    }).immediate();
+
+    try {
+      return write();
+    } finally {
+      this.db.prepare('DELETE FROM gnclock WHERE Hostname = ? AND PID = ?').run(hostname, pid);
+      this.observeChanges(true);
+    }
+  }
+
+  /**
+   * Find or create the commodities row for a currency. Returns its GUID.
+   */
+  ensureCommodity(mnemonic) {
+    const existing = this.db
+      .prepare("SELECT guid FROM commodities WHERE namespace IN ('CURRENCY', 'ISO4217') AND mnemonic = ?")
+      .get(mnemonic);
+    if (existing) return existing.guid;
+
+    const guid = newGnuCashGuid();
+    this.db.prepare(`
+      INSERT INTO commodities (guid, namespace, mnemonic, fullname, cusip, fraction, quote_flag, quote_source, quote_tz)
+      VALUES (?, 'CURRENCY', ?, ?, '', 100, 1, 'currency', '')
+    `).run(guid, mnemonic, mnemonic);
+    return guid;
+  }
+
+  rowToAccount(row) {
+    return {
+      guid: row.guid,
+      name: row.name,
+      type: row.account_type,
+      commodity: row.mnemonic || null,
+      code: row.code || '',
+      description: row.description || '',
+      placeholder: Boolean(row.placeholder),
+      parentGuid: row.parent_guid || null
+    };
+  }
+
+  getAccounts() {
+    return this.db.prepare(`
+      SELECT a.*, c.mnemonic FROM accounts a
+      LEFT JOIN commodities c ON c.guid = a.commodity_guid
+      WHERE a.guid != ?
+    `).all(this.templateRootGuid).map(row => this.rowToAccount(row));
+  }
+
+  findAccount(guid) {
+    if (!guid) return null;
+    const row = this.db.prepare(`
+      SELECT a.*, c.mnemonic FROM accounts a
+      LEFT JOIN commodities c ON c.guid = a.commodity_guid
+      WHERE a.guid = ?
+    `).get(toGnuCashGuid(guid));
+    return row ? this.rowToAccount(row) : null;
+  }
+
+  findChildAccount(parentGuid, name) {
+    const row = this.db.prepare(`
+      SELECT a.*, c.mnemonic FROM accounts a
+      LEFT JOIN commodities c ON c.guid = a.commodity_guid
+      WHERE a.parent_guid = ? AND a.name = ?
+    `).get(parentGuid, name);
+    return row ? this.rowToAccount(row) : null;
+  }
+
+  /**
+   * Walk a path of account names down from the root, creating any missing
+   * account as a placeholder of `placeholderType`. Returns the GUID of the
+   * last account in the path (the root for an empty path). With
+   * `leafPlaceholder` false the last account is created as a regular
+   * account, so it can hold transactions. Created accounts are in
+   * `commodity`, the book's default currency unless given.
+   */
+  async ensureAccountPath(names, placeholderType, leafPlaceholder = true, commodity = this.defaultCurrency) {
+    await this.open();
+
+    return this.writeLocked(() => this.db.transaction(() => {
+      const commodityGuid = this.ensureCommodity(commodity);
+      let parentGuid = this.rootGuid;
+
+      for (const [index, name] of names.entries()) {
+        let account = this.findChildAccount(parentGuid, name);
+        if (!account) {
+          const placeholder = leafPlaceholder || index < names.length - 1;
+          account = { guid: newGnuCashGuid() };
+          this.db.prepare(`
+            INSERT INTO accounts (guid, name, account_type, commodity_guid, commodity_scu, non_std_scu, parent_guid, code, description, hidden, placeholder)
+            VALUES (?, ?, ?, ?, 100, 0, ?, '', '', 0, ?)
+          `).run(account.guid, name, placeholderType, commodityGuid, parentGuid, placeholder ? 1 : 0);
+          this.setStringSlot(account.guid, 'placeholder', placeholder ? 'true' : null);
+        }
+        parentGuid = account.guid;
+      }
+      return parentGuid;
+    })());
+  }
+
+  /**
+   * Keep the string slot `name` on an object in step with `value`
+   * (removed when value is null)
+   */
+  setStringSlot(objGuid, name, value) {
+    this.db.prepare('DELETE FROM slots WHERE obj_guid = ? AND name = ?').run(objGuid, name);
+    if (value !== null && value !== undefined) {
+      this.db.prepare('INSERT INTO slots (obj_guid, name, slot_type, string_val) VALUES (?, ?, ?, ?)')
+        .run(objGuid, name, SLOT_TYPE_STRING, String(value));
+    }
+  }
+
+  /**
+   * Balance of an account in its commodity: the sum of its split quantities
+   */
+  getAccountBalance(guid) {
+    const row = this.db.prepare(`
+      SELECT SUM(CAST(quantity_num AS REAL) / quantity_denom) AS balance
+      FROM splits WHERE account_guid = ?
+    `).get(toGnuCashGuid(guid));
+    return row.balance || 0;
+  }
+
+  /**
+   * Add a balanced transaction. Split amounts are in cents of `currency`.
+   * Returns the file path.
+   */
+  async addTransaction({ guid, currency, datePosted, description, num = '', splits }) {
+    await this.open();
+
+    this.writeLocked(() => this.db.transaction(() => {
+      const transactionGuid = toGnuCashGuid(guid);
+      this.db.prepare(`
+        INSERT INTO transactions (guid, currency_guid, num, post_date, enter_date, description)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(
+        transactionGuid,
+        this.ensureCommodity(currency || this.defaultCurrency),
+        num,
+        formatTimestamp(datePosted),
+        formatTimestamp(new Date()),
+        description || ''
+      );
+
+      const insertSplit = this.db.prepare(`
+        INSERT INTO splits (guid, tx_guid, account_guid, memo, action, reconcile_state, reconcile_date, value_num, value_denom, quantity_num, quantity_denom, lot_guid)
+        VALUES (?, ?, ?, ?, '', 'n', NULL, ?, 100, ?, 100, NULL)
+      `);
+      splits.forEach(split => insertSplit.run(
+        newGnuCashGuid(),
+        transactionGuid,
+        toGnuCashGuid(split.accountGuid),
+        split.memo || '',
+        split.cents,
+        split.cents
+      ));
+    })());
+
+    return this.filePath;
+  }
+
+  /**
+   * Insert or update an account row. Returns the file path.
+   */
+  async upsertAccount(account) {
+    await this.open();
+
+    const guid = toGnuCashGuid(account.guid);
+    const parentGuid = account.parentGuid ? toGnuCashGuid(account.parentGuid) : this.rootGuid;
+
+    this.writeLocked(() => this.db.transaction(() => {
+      const commodityGuid = this.ensureCommodity(account.commodity || this.defaultCurrency);
+      this.db.prepare(`
+        INSERT INTO accounts (guid, name, account_type, commodity_guid, commodity_scu, non_std_scu, parent_guid, code, description, hidden, placeholder)
+        VALUES (@guid, @name, @type, @commodityGuid, 100, 0, @parentGuid, @code, @description, 0, @placeholder)
+        ON CONFLICT (guid) DO UPDATE SET
+          name = excluded.name,
+          account_type = excluded.account_type,
+          commodity_guid = excluded.commodity_guid,
+          parent_guid = excluded.parent_guid,
+          code = excluded.code,
+          description = excluded.description,
+          placeholder = excluded.placeholder
+      `).run({
+        guid,
+        name: account.name,
+        type: account.type,
+        commodityGuid,
+        parentGuid,
+        code: account.code || '',
+        description: account.description || '',
+        placeholder: account.placeholder ? 1 : 0
+      });
+      this.setStringSlot(guid, 'placeholder', account.placeholder ? 'true' : null);
+    })());
+
+    return this.filePath;
+  }
+}
+
+export default GnuCashSqliteBackend;
@@ -1,60 +1,241 @@
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, Prisma } from '@prisma/client';
 import fs from 'fs/promises';
+import { watch } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import GnuCashXmlBackend, { toGnuCashGuid } from './GnuCashXmlBackend.js';
+import GnuCashSqliteBackend from './GnuCashSqliteBackend.js';
+import transformRegistry from './TransformRegistry.js';
+import Ajv from 'ajv';
+import { DEFAULT_RETRY_POLICY } from './RetryPolicy.js';
+import syncJobQueue from './SyncJobQueue.js';
+import { diffFields } from './SyncPreview.js';
+import { hashContent, isContentUnchanged, saveContentHash } from './ContentHash.js';
+import { querySyncTimeSeries, resolveStatisticsRange } from './SyncStatistics.js';
+import { recordSync } from './Metrics.js';
+import { callerLabel } from './CallerContext.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const prisma = new PrismaClient();
 
+// Job type of queued GnuCash syncs
+export const GNUCASH_SYNC_JOB = 'gnucash.sync';
+
+// System name of GnuCash in SystemIntegration rows and sync schedules
+export const GNUCASH_SYSTEM = 'GnuCash';
+
+// Source system of the records synced to GnuCash
+export const QUICKBOOKS_SYSTEM = 'QuickBooks';
+
+// Account type of placeholder accounts created under the standard top-level accounts
+export const TOP_LEVEL_ACCOUNT_TYPES = {
+  Assets: 'ASSET',
+  Liabilities: 'LIABILITY',
+  Equity: 'EQUITY',
+  Income: 'INCOME',
+  Expenses: 'EXPENSE'
+};
+
+// Columns a Prisma model needs for its records to be synced to GnuCash
+export const GC_SYNC_FIELDS = ['gcAccountId', 'gcSyncStatus', 'gcSyncedAt', 'gcSyncError', 'gcSnapshot'];
+
+// Account types GnuCash accepts for synced accounts (ROOT is reserved for the book)
+export const GNUCASH_ACCOUNT_TYPES = [
+  'BANK', 'CASH', 'CREDIT', 'ASSET', 'LIABILITY', 'STOCK', 'MUTUAL', 'CURRENCY',
+  'INCOME', 'EXPENSE', 'EQUITY', 'RECEIVABLE', 'PAYABLE', 'TRADING'
+];
+
+const schemaPath = path.join(__dirname, '../../config/entityMapping.schema.json');
+
+// Compiled entityMapping.json schema validator, loaded on first use
+let validateSchema = null;
+
+// One backend per book file, shared by every service instance in the process
+const bookBackends = new Map();
+
+// Prisma model of each syncable entity type, as { name, delegate, idType,
+// requiredFields }, from the enabled mappings of the active entityMapping.json
+let entityModels = {};
+
+/**
+ * Syncable entity types (enabled mappings) and their Prisma models
+ */
+export const getEntityModels = () => entityModels;
+
+/**
+ * The Prisma model holding an entity type's records: the mapping's `model`,
+ * or the model named after the entity type
+ */
+const findPrismaModel = (entityType, mapping) =>
+  Prisma.dmmf.datamodel.models.find(model => model.name === (mapping.model || entityType));
+
+/**
+ * Check that a mapping's model can be synced: it needs an id, the gcSync
+ * columns and every mapped field (plus fullName, name and isSubClass to
+ * nest by fullName)
+ */
+const validateEntityModel = (entityType, mapping) => {
+  const field = `/mappings/${entityType}/model`;
+  const model = findPrismaModel(entityType, mapping);
+  if (!model) {
+    return [{ field, rule: 'model', message: `${field} "${mapping.model || entityType}" is not a Prisma model` }];
+  }
+
+  const fieldNames = new Set(model.fields.map(f => f.name));
+  const missing = [
+    'id',
+    ...GC_SYNC_FIELDS,
+    ...Object.keys(mapping.fieldMappings),
+    ...Object.keys(mapping.importDefaults || {}),
+    ...(mapping.nestByFullName ? ['fullName', 'name', 'isSubClass'] : [])
+  ].filter(name => !fieldNames.has(name));
+
+  return missing.length > 0
+    ? [{ field, rule: 'model_fields', message: `${field} ${model.name} is missing ${missing.join(', ')}` }]
+    : [];
+};
+
+/**
+ * Raised when a record or its mapped GnuCash account fails validation.
+ * `errors` is a list of { field, rule, message } entries.
+ */
+export class ValidationError extends Error {
+  constructor(errors) {
+    super(`Validation failed: ${errors.map(e => e.message).join('; ')}`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+    // The same input fails the same way, so there is no point retrying
+    this.retryable = false;
+  }
+}
+
 /**
  * Entity Mapper - Maps QuickBooks entities to GnuCash format based on config
  */
 class EntityMapper {
-  constructor(mappingConfig) {
+  constructor(mappingConfig, transforms = transformRegistry) {
     this.mappingConfig = mappingConfig;
+    this.transforms = transforms;
+  }
+
+  /**
+   * Context passed to transforms: the field's mappingRules and the
+   * config's named lookup tables
+   */
+  transformContext(mappingRules, currentValue) {
+    return {
+      mappingRules,
+      lookupTables: this.mappingConfig.lookupTables,
+      currentValue
+    };
   }
 
   /**
-   * Transform a value based on the transformation rule
+   * Transform a value with a transform spec (e.g. "trim|uppercase|prefix:QB-")
    */
   transformValue(value, transformType, mappingRules = null) {
-    switch (transformType) {
-      case 'string':
-        return value ? String(value) : '';
-      
-      case 'boolean_inverse':
-        return !value; // Active in QB = NOT placeholder in GnuCash
-      
-      case 'decimal':
-        return parseFloat(value) || 0.0;
-      
-      case 'percentage_to_string':
-        return value ? `${value}%` : '0%';
-      
-      case 'account_type_mapping':
-        if (mappingRules && value) {
-          return mappingRules[value] || value;
-        }
-        return value;
-      
-      default:
-        return value;
+    return this.transforms.apply(transformType, value, this.transformContext(mappingRules));
+  }
+
+  /**
+   * Reverse a transformation, turning a GnuCash value back into a QB value.
+   * `currentValue` is kept for many-to-one mappings when it still maps to
+   * the same GnuCash value.
+   */
+  inverseTransformValue(value, transformType, mappingRules = null, currentValue = undefined) {
+    return this.transforms.invert(transformType, value, this.transformContext(mappingRules, currentValue));
+  }
+
+  /**
+   * Map a GnuCash account back to QB fields, using the inverse of the
+   * field mappings. Only fields present in gcData are returned.
+   */
+  mapGnuCashToEntity(entityType, gcData, current = {}) {
+    const mapping = this.mappingConfig.mappings[entityType];
+
+    if (!mapping || !mapping.enabled) {
+      throw new Error(`Mapping not found or disabled for entity type: ${entityType}`);
+    }
+
+    const qbData = {};
+    Object.entries(mapping.fieldMappings).forEach(([qbField, fieldConfig]) => {
+      if (gcData[fieldConfig.gcField] === undefined) return;
+
+      qbData[qbField] = this.inverseTransformValue(
+        gcData[fieldConfig.gcField],
+        fieldConfig.transform,
+        fieldConfig.mappingRules,
+        current[qbField]
+      );
+    });
+
+    return qbData;
+  }
+
+  /**
+   * Check that every source field marked `required` has a value
+   */
+  validateRequiredFields(mapping, qbData) {
+    return Object.entries(mapping.fieldMappings)
+      .filter(([qbField, fieldConfig]) => {
+        const value = qbData[qbField];
+        return fieldConfig.required
+          && (value === undefined || value === null || (typeof value === 'string' && value.trim() === ''));
+      })
+      .map(([qbField, fieldConfig]) => ({
+        field: qbField,
+        rule: 'required',
+        message: `${qbField} is required (maps to GnuCash ${fieldConfig.gcField})`
+      }));
+  }
+
+  /**
+   * Check mapped data against GnuCash rules: a valid account type and a
+   * known commodity (an ISO 4217 currency or one already in the book)
+   */
+  validateGnuCashData(gcData, knownCommodities = []) {
+    const errors = [];
+    const accountType = gcData.account_type || gcData.type;
+
+    if (!GNUCASH_ACCOUNT_TYPES.includes(accountType)) {
+      errors.push({
+        field: gcData.account_type !== undefined ? 'account_type' : 'type',
+        rule: 'account_type',
+        message: `"${accountType}" is not a GnuCash account type (expected one of ${GNUCASH_ACCOUNT_TYPES.join(', ')})`
+      });
+    }
+
+    const commodity = gcData.commodity || 'USD';
+    if (!knownCommodities.includes(commodity) && !Intl.supportedValuesOf('currency').includes(commodity)) {
+      errors.push({
+        field: 'commodity',
+        rule: 'commodity',
+        message: `"${commodity}" is not a known commodity`
+      });
     }
+
+    return errors;
   }
 
   /**
-   * Map a QB entity to GnuCash format
+   * Map a QB entity to GnuCash format. Throws a ValidationError when required
+   * source fields are missing or the result breaks GnuCash rules.
    */
-  mapEntityToGnuCash(entityType, qbData) {
+  mapEntityToGnuCash(entityType, qbData, knownCommodities = []) {
     const mapping = this.mappingConfig.mappings[entityType];
     
     if (!mapping || !mapping.enabled) {
       throw new Error(`Mapping not found or disabled for entity type: ${entityType}`);
     }
 
+    const requiredErrors = this.validateRequiredFields(mapping, qbData);
+    if (requiredErrors.length > 0) {
+      throw new ValidationError(requiredErrors);
+    }
+
     const gcData = {
       type: mapping.defaultValues?.type || 'ASSET',
       ...mapping.defaultValues
@@ -72,6 +253,11 @@ class EntityMapper {
       gcData[fieldConfig.gcField] = transformedValue;
     });
 
+    const gnucashErrors = this.validateGnuCashData(gcData, knownCommodities);
+    if (gnucashErrors.length > 0) {
+      throw new ValidationError(gnucashErrors);
+    }
+
     return gcData;
   }
 }
@@ -84,36 +270,285 @@ export class GnuCashSyncService {
     this.mappingConfig = null;
     this.entityMapper = null;
     this.configPath = path.join(__dirname, '../../config/entityMapping.json');
+    this.configVersion = null;
+    this.configError = null;
+    this.configWatcher = null;
+    this.bookBackend = null;
   }
 
   /**
-   * Initialize the service by loading the mapping configuration
+   * Initialize the service by loading the mapping configuration and
+   * watching it for changes
    */
   async initialize() {
     try {
-      const configData = await fs.readFile(this.configPath, 'utf-8');
-      this.mappingConfig = JSON.parse(configData);
-      this.entityMapper = new EntityMapper(this.mappingConfig);
+      const loaded = await this.loadMappingConfig();
+      this.bookBackend = this.createBookBackend(loaded.config);
+      await this.bookBackend.open();
+      this.applyMappingConfig(loaded);
+      this.watchMappingConfig();
+      this.registerSyncJobHandler();
       console.log('✅ GnuCash Sync Service initialized');
+      console.log(`📒 Writing GnuCash book to ${this.bookBackend.filePath}`);
     } catch (error) {
       console.error('❌ Failed to initialize GnuCash Sync Service:', error);
       throw error;
     }
   }
 
+  /**
+   * Check a mapping config against config/entityMapping.schema.json, the
+   * transform registry and the Prisma models. Returns a list of { field, rule, message } errors.
+   */
+  async validateMappingConfig(config) {
+    if (!validateSchema) {
+      const schema = JSON.parse(await fs.readFile(schemaPath, 'utf-8'));
+      validateSchema = new Ajv({ allErrors: true }).compile(schema);
+    }
+
+    if (!validateSchema(config)) {
+      return validateSchema.errors.map(error => ({
+        field: error.instancePath || '/',
+        rule: error.keyword,
+        message: `${error.instancePath || '/'} ${error.message}`
+      }));
+    }
+
+    const errors = [];
+    Object.entries(config.mappings).forEach(([entityType, mapping]) => {
+      if (mapping.enabled) {
+        errors.push(...validateEntityModel(entityType, mapping));
+      }
+
+      Object.entries(mapping.fieldMappings).forEach(([qbField, fieldConfig]) => {
+        const field = `/mappings/${entityType}/fieldMappings/${qbField}/transform`;
+        try {
+          transformRegistry.parse(fieldConfig.transform)
+            .filter(step => step.name === 'lookup' && step.args[0] && !config.lookupTables?.[step.args[0]])
+            .forEach(step => errors.push({
+              field,
+              rule: 'lookup_table',
+              message: `${field} uses unknown lookup table "${step.args[0]}"`
+            }));
+        } catch (error) {
+          errors.push({ field, rule: 'transform', message: `${field} ${error.message}` });
+        }
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Read and validate entityMapping.json. Throws a ValidationError if the
+   * file is not valid JSON or breaks the schema.
+   */
+  async loadMappingConfig() {
+    const configData = await fs.readFile(this.configPath, 'utf-8');
+
+    let config;
+    try {
+      config = JSON.parse(configData);
+    } catch (error) {
+      throw new ValidationError([{ field: '/', rule: 'json', message: `Invalid JSON: ${error.message}` }]);
+    }
+
+    const errors = await this.validateMappingConfig(config);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    return {
+      config,
+      hash: crypto.createHash('sha256').update(configData).digest('hex').slice(0, 12)
+    };
+  }
+
+  /**
+   * Make a loaded config the active one
+   */
+  applyMappingConfig({ config, hash }) {
+    this.mappingConfig = config;
+    this.entityMapper = new EntityMapper(config);
+    this.configVersion = { version: config.version, hash, loadedAt: new Date() };
+
+    entityModels = Object.fromEntries(Object.entries(config.mappings)
+      .filter(([, mapping]) => mapping.enabled)
+      .map(([entityType, mapping]) => {
+        const model = findPrismaModel(entityType, mapping);
+        return [entityType, {
+          name: model.name,
+          delegate: model.name[0].toLowerCase() + model.name.slice(1),
+          idType: model.fields.find(f => f.name === 'id').type,
+          // Columns a create must set: required, without a default
+          requiredFields: model.fields
+            .filter(f => f.kind !== 'object' && f.isRequired && !f.isList && !f.hasDefaultValue && !f.isUpdatedAt)
+            .map(f => f.name)
+        }];
+      }));
+  }
+
+  /**
+   * Prisma model of a syncable entity type. Throws a ValidationError for
+   * types without an enabled mapping.
+   */
+  getEntityModel(entityType) {
+    const model = entityModels[entityType];
+    if (!model) {
+      throw new ValidationError([{
+        field: 'entityType',
+        rule: 'entity_type',
+        message: `Unknown entity type: ${entityType} (expected one of ${Object.keys(entityModels).join(', ')})`
+      }]);
+    }
+    return model;
+  }
+
+  /**
+   * Convert an entity id (received as text over gRPC or stored in a log)
+   * to the type of its model's id
+   */
+  parseEntityId(entityType, entityId) {
+    if (this.getEntityModel(entityType).idType !== 'Int') {
+      return String(entityId);
+    }
+
+    const id = Number(entityId);
+    if (!Number.isInteger(id)) {
+      throw new ValidationError([{
+        field: 'entityId',
+        rule: 'type',
+        message: `${entityType} ids are integers, got "${entityId}"`
+      }]);
+    }
+    return id;
+  }
+
+  /**
+   * Reload entityMapping.json. An invalid file is rejected and the last good
+   * config stays active; the rejection is kept in configError.
+   */
+  async reloadMappingConfig() {
+    try {
+      const loaded = await this.loadMappingConfig();
+      if (loaded.hash === this.configVersion?.hash) {
+        return this.configVersion;
+      }
+
+      // Open the (possibly different) book before switching over
+      const bookBackend = this.createBookBackend(loaded.config);
+      await bookBackend.open();
+
+      this.bookBackend = bookBackend;
+      this.applyMappingConfig(loaded);
+      this.configError = null;
+      console.log(`🔄 Reloaded entityMapping.json (version ${loaded.config.version}, ${loaded.hash})`);
+      return this.configVersion;
+    } catch (error) {
+      this.configError = { message: error.message, errors: error.errors || [], rejectedAt: new Date() };
+      console.error(`❌ Rejected entityMapping.json change, keeping version ${this.configVersion?.version} (${this.configVersion?.hash}):`, error.message);
+      return this.configVersion;
+    }
+  }
+
+  /**
+   * Watch entityMapping.json and reload it when it changes. The directory is
+   * watched because editors often save by replacing the file.
+   */
+  watchMappingConfig() {
+    if (this.configWatcher) return;
+
+    const fileName = path.basename(this.configPath);
+    let reloadTimer = null;
+
+    this.configWatcher = watch(path.dirname(this.configPath), { persistent: false }, (eventType, changed) => {
+      if (changed && changed !== fileName) return;
+      // Saves arrive as several events; reload once they settle
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => this.reloadMappingConfig(), 200);
+    });
+
+    this.configWatcher.on('error', (error) => {
+      console.error('❌ Stopped watching entityMapping.json:', error.message);
+      this.configWatcher = null;
+    });
+  }
+
+  stopWatchingMappingConfig() {
+    this.configWatcher?.close();
+    this.configWatcher = null;
+  }
+
+  /**
+   * Resolve the GnuCash book file path. GNUCASH_OUTPUT_PATH (a directory)
+   * overrides gnucashConfig.outputPath, which is relative to the project root.
+   */
+  getBookFilePath(config = this.mappingConfig) {
+    const gnucashConfig = config.gnucashConfig || {};
+    const outputDir = process.env.GNUCASH_OUTPUT_PATH
+      || path.join(__dirname, '../..', gnucashConfig.outputPath || 'gnucash');
+    return path.resolve(outputDir, gnucashConfig.fileName || 'qb2gc.gnucash');
+  }
+
+  /**
+   * Get the backend that writes synced accounts into the GnuCash book,
+   * chosen by gnucashConfig.fileFormat ("xml" or "sqlite")
+   */
+  createBookBackend(config = this.mappingConfig) {
+    const gnucashConfig = config.gnucashConfig || {};
+    const filePath = this.getBookFilePath(config);
+    const options = {
+      filePath,
+      rootGuid: gnucashConfig.rootAccountGuid,
+      defaultCurrency: gnucashConfig.defaultCurrency || 'USD'
+    };
+
+    if (!bookBackends.has(filePath)) {
+      switch (gnucashConfig.fileFormat || 'xml') {
+        case 'xml':
+          bookBackends.set(filePath, new GnuCashXmlBackend({
+            ...options,
+            compress: gnucashConfig.compress !== false
+          }));
+          break;
+
+        case 'sqlite':
+          bookBackends.set(filePath, new GnuCashSqliteBackend(options));
+          break;
+
+        default:
+          throw new Error(`Unsupported GnuCash file format: ${gnucashConfig.fileFormat}`);
+      }
+    }
+    return bookBackends.get(filePath);
+  }
+
+  /**
+   * Write a mapped account into the GnuCash book. Returns the book file path.
+   */
+  async writeAccountToBook(gcAccount) {
+    return this.bookBackend.upsertAccount({
+      guid: gcAccount['act:id']['#text'],
+      name: gcAccount['act:name'],
+      type: gcAccount['act:type'],
+      commodity: gcAccount['act:commodity']['cmdty:id'],
+      code: gcAccount['act:code'],
+      description: gcAccount['act:description'],
+      placeholder: gcAccount['act:slots']?.slot['slot:value']['#text'] === 'true',
+      parentGuid: gcAccount['act:parent']['#text']
+    });
+  }
+
   /**
    * Create GnuCash XML structure for an account
    */
-  createGnuCashAccount(gcData, accountId) {
-    // Get root account GUID from config or use default
-    const rootAccountGuid = this.mappingConfig.gnucashConfig?.rootAccountGuid 
-      || '00000000-0000-0000-0000-000000000000';
+  createGnuCashAccount(gcData, accountId, parentGuid = null) {
+    const parentAccountGuid = parentGuid || this.bookBackend.rootGuid;
     
     return {
       'act:name': gcData.name,
       'act:id': {
         '@type': 'guid',
-        '#text': accountId || this.generateGUID()
+        '#text': toGnuCashGuid(accountId || this.generateGUID())
       },
       'act:type': gcData.account_type || gcData.type || 'ASSET',
       'act:commodity': {
@@ -124,7 +559,7 @@ export class GnuCashSyncService {
       'act:code': gcData.code || '',
       'act:parent': {
         '@type': 'guid',
-        '#text': rootAccountGuid
+        '#text': parentAccountGuid
       },
       'act:slots': gcData.placeholder !== undefined ? {
         'slot': {
@@ -139,12 +574,13 @@ export class GnuCashSyncService {
   }
 
   /**
-   * Generate a GUID for GnuCash entities using crypto for better uniqueness
+   * Generate a GUID for GnuCash entities using crypto for better uniqueness.
+   * GnuCash GUIDs are 32 hex digits without dashes.
    */
   generateGUID() {
     // Use crypto.randomUUID if available (Node.js 14.17+)
     if (typeof crypto !== 'undefined' && crypto.randomUUID) {
-      return crypto.randomUUID();
+      return toGnuCashGuid(crypto.randomUUID());
     }
     
     // Fallback to securely generating a UUID v4 with crypto.randomBytes
@@ -153,227 +589,798 @@ export class GnuCashSyncService {
     bytes[6] = (bytes[6] & 0x0f) | 0x40;
     bytes[8] = (bytes[8] & 0x3f) | 0x80;
     const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0'));
-    return (
-      hex[0] + hex[1] + hex[2] + hex[3] + '-' +
-      hex[4] + hex[5] + '-' +
-      hex[6] + hex[7] + '-' +
-      hex[8] + hex[9] + '-' +
-      hex[10] + hex[11] + hex[12] + hex[13] + hex[14] + hex[15]
-    );
+    return hex.join('');
   }
 
   /**
-   * Sync a QBClass to GnuCash
+   * Pick the GnuCash GUID for a record: re-syncs reuse the stored
+   * gcAccountId so the account is updated in place, unless `recreate`
+   * is set (e.g. the account was deleted by hand in GnuCash). A first sync
+   * adopts an existing account of the same name under the same parent that
+   * no other record is synced to, such as a placeholder created earlier for
+   * one of its sub-classes. Throws a ValidationError if the name is taken
+   * (see validateSiblingName).
    */
-  async syncClassToGnuCash(classId) {
-    const syncLog = await prisma.gnuCashSyncLog.create({
-      data: {
-        entityType: 'Class',
-        entityId: classId,
-        syncStatus: 'IN_PROGRESS',
-        syncDirection: 'qb_to_gc'
-      }
-    });
+  async resolveGcAccountId(entityType, record, gcData, parentGuid, options = {}) {
+    const ownGuid = record.gcAccountId && !options.recreate ? toGnuCashGuid(record.gcAccountId) : null;
+    const sibling = await this.validateSiblingName(entityType, record, gcData, ownGuid, parentGuid, options);
 
-    try {
-      // Get the class data
-      const qbClass = await prisma.qBClass.findUnique({
-        where: { id: classId }
-      });
+    if (ownGuid) {
+      return { gcAccountId: ownGuid, operation: 'update' };
+    }
+    if (sibling) {
+      return { gcAccountId: sibling.guid, operation: 'update' };
+    }
+    return { gcAccountId: this.generateGUID(), operation: 'create' };
+  }
 
-      if (!qbClass) {
-        throw new Error(`Class not found: ${classId}`);
-      }
+  /**
+   * GnuCash does not allow two accounts with the same name under one parent.
+   * Returns the account of that name a first sync may adopt (null if there
+   * is none), and throws if the name is taken by another account: one that
+   * another record is synced to, or any other account on re-syncs and
+   * recreates.
+   */
+  async validateSiblingName(entityType, record, gcData, ownGuid, parentGuid, options = {}) {
+    const sibling = this.bookBackend.findChildAccount(parentGuid, gcData.name);
+    if (!sibling || sibling.guid === ownGuid) {
+      return null;
+    }
 
-      // Map to GnuCash format
-      const gcData = this.entityMapper.mapEntityToGnuCash('Class', {
-        qbId: qbClass.qbId,
-        name: qbClass.name,
-        fullName: qbClass.fullName,
-        isActive: qbClass.isActive
-      });
+    const owner = await this.findAccountOwner(sibling.guid, entityType, record.id);
+    if (!owner && !ownGuid && !options.recreate) {
+      return sibling;
+    }
 
-      // Create GnuCash account structure
-      const gcAccountId = this.generateGUID();
-      const gcAccount = this.createGnuCashAccount(gcData, gcAccountId);
+    throw new ValidationError([{
+      field: 'name',
+      rule: 'unique_sibling_name',
+      message: `An account named "${gcData.name}" already exists under the same parent (${sibling.guid})`
+        + (owner ? `, synced from ${owner.entityType} ${owner.id}` : '')
+    }]);
+  }
 
-      // Update the class with GnuCash sync info
-      await prisma.qBClass.update({
-        where: { id: classId },
-        data: {
-          gcSyncStatus: 'SYNCED',
-          gcSyncedAt: new Date(),
-          gcAccountId: gcAccountId,
-          gcSyncError: null
-        }
-      });
+  /**
+   * The record, other than `entityId` of `entityType`, whose gcAccountId is
+   * `gcAccountId`, as { entityType, id }; null if there is none
+   */
+  async findAccountOwner(gcAccountId, entityType, entityId) {
+    const guid = toGnuCashGuid(gcAccountId);
+    // Older syncs stored record UUIDs as GUIDs, with dashes
+    const dashed = guid.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
 
-      // Update sync log
-      await prisma.gnuCashSyncLog.update({
-        where: { id: syncLog.id },
-        data: {
-          syncStatus: 'SYNCED',
-          syncCompletedAt: new Date(),
-          metadata: JSON.stringify({ gcAccountId, gcAccount })
-        }
+    for (const [type, { delegate }] of Object.entries(entityModels)) {
+      const owner = await prisma[delegate].findFirst({
+        where: {
+          gcAccountId: { in: [guid, dashed] },
+          ...(type === entityType && { NOT: { id: entityId } })
+        },
+        select: { id: true }
       });
+      if (owner) {
+        return { entityType: type, id: owner.id };
+      }
+    }
+    return null;
+  }
 
-      console.log(`✅ Class ${qbClass.name} synced to GnuCash`);
-      return { success: true, gcAccountId, gcAccount };
+  /**
+   * Commodities already present in the GnuCash book
+   */
+  getKnownCommodities() {
+    return [...new Set(this.bookBackend.getAccounts().map(a => a.commodity).filter(Boolean))];
+  }
 
+  /**
+   * Error text stored in gcSyncError: the structured field errors for
+   * validation failures, the message otherwise
+   */
+  formatSyncError(error) {
+    return error instanceof ValidationError ? JSON.stringify(error.errors) : error.message;
+  }
+
+  /**
+   * The account fields compared to detect changes, from mapped gcData or an
+   * account read from the book. Stored as the record's gcSnapshot.
+   */
+  accountSnapshot(account) {
+    return {
+      name: account.name || '',
+      code: account.code || '',
+      description: account.description || '',
+      type: account.account_type || account.type || 'ASSET',
+      placeholder: Boolean(account.placeholder),
+      commodity: account.commodity || 'USD'
+    };
+  }
+
+  /**
+   * Everything a sync writes for a record, hashed after each sync so that
+   * unchanged records can be skipped
+   */
+  syncContent(gcData, parentGuid) {
+    return { ...this.accountSnapshot(gcData), parentGuid, balance: gcData.balance ?? null };
+  }
+
+  /**
+   * Content hash key of a record
+   */
+  contentHashKey(entityType, entityId) {
+    return { targetSystem: GNUCASH_SYSTEM, sourceSystem: QUICKBOOKS_SYSTEM, entityType, entityId };
+  }
+
+  /**
+   * Skip the sync of a record whose mapped account hashes the same as at its
+   * last sync, as long as the account is still in the book as synced (not
+   * edited, moved or rebalanced in GnuCash since). A record that was not
+   * marked SYNCED is marked so. Returns the result of the skipped sync, or
+   * null if the record has to be synced.
+   */
+  async skipUnchanged(entityType, entityId, options = {}) {
+    if (options.recreate) return null;
+
+    const { delegate } = this.getEntityModel(entityType);
+    const id = this.parseEntityId(entityType, entityId);
+    const record = await prisma[delegate].findUnique({ where: { id } });
+    const account = record?.gcSnapshot && record.gcSyncStatus !== 'CONFLICT' && this.bookBackend.findAccount(record.gcAccountId);
+    if (!account) return null;
+
+    let gcData;
+    let parentGuid;
+    try {
+      gcData = this.entityMapper.mapEntityToGnuCash(entityType, record, this.getKnownCommodities());
+      parentGuid = await this.resolveRecordParentGuid(entityType, record, gcData, { dryRun: true });
     } catch (error) {
-      // Update with error
-      await prisma.qBClass.update({
-        where: { id: classId },
-        data: {
-          gcSyncStatus: 'FAILED',
-          gcSyncError: error.message
-        }
-      }).catch(() => {});
+      // Let the sync report it
+      return null;
+    }
 
-      await prisma.gnuCashSyncLog.update({
-        where: { id: syncLog.id },
-        data: {
-          syncStatus: 'FAILED',
-          errorMessage: error.message,
-          syncCompletedAt: new Date()
-        }
+    const bookUnchanged = account.parentGuid === parentGuid
+      && JSON.stringify(this.accountSnapshot(account)) === record.gcSnapshot
+      && (gcData.balance === undefined
+        || Math.round(this.bookBackend.getAccountBalance(account.guid) * 100) === Math.round(gcData.balance * 100));
+    if (!bookUnchanged
+      || !(await isContentUnchanged(this.contentHashKey(entityType, id), hashContent(this.syncContent(gcData, parentGuid))))) {
+      return null;
+    }
+
+    if (record.gcSyncStatus !== 'SYNCED') {
+      await prisma[delegate].update({
+        where: { id },
+        data: { gcSyncStatus: 'SYNCED', gcSyncError: null }
       });
+    }
+    recordSync(entityType, GNUCASH_SYSTEM, 'unchanged');
+    return { success: true, unchanged: true, gcAccountId: account.guid };
+  }
 
-      console.error(`❌ Failed to sync class ${classId}:`, error);
-      throw error;
+  /**
+   * Conflict policy for an entity type: options.conflictResolution, then the
+   * mapping's conflictResolution, then syncRules.conflictResolution
+   */
+  getConflictPolicy(entityType, options = {}) {
+    return options.conflictResolution
+      || this.mappingConfig.mappings[entityType]?.conflictResolution
+      || this.mappingConfig.syncRules.conflictResolution
+      || 'qb_wins';
+  }
+
+  /**
+   * Compare both sides with the snapshot taken at the last sync. Returns
+   * null unless the record and its GnuCash account have both changed since
+   * then (and not to the same values).
+   */
+  detectConflict(entityType, record, gcAccountId, backend = this.bookBackend) {
+    const account = record.gcSnapshot && backend.findAccount(gcAccountId);
+    if (!account) return null;
+
+    let qbData;
+    try {
+      qbData = this.accountSnapshot(this.entityMapper.mapEntityToGnuCash(entityType, record, this.getKnownCommodities()));
+    } catch (error) {
+      return null;
     }
+
+    const baseData = JSON.parse(record.gcSnapshot);
+    const gcData = this.accountSnapshot(account);
+    const changedFields = (data) => Object.keys(baseData).filter(field => data[field] !== baseData[field]);
+    const qbChanges = changedFields(qbData);
+    const gcChanges = changedFields(gcData);
+
+    if (qbChanges.length === 0 || gcChanges.length === 0
+      || JSON.stringify(qbData) === JSON.stringify(gcData)) {
+      return null;
+    }
+    return { gcAccountId: account.guid, account, baseData, qbData, gcData, qbChanges, gcChanges };
   }
 
   /**
-   * Sync an Account to GnuCash
+   * Settle a conflict with the entity type's policy: "qb_wins", "gc_wins"
+   * or "manual". newest_wins compares the record's updatedAt with when its
+   * account last changed outside this service, as GnuCash does not
+   * timestamp account edits (see AccountChangeTracker).
    */
-  async syncAccountToGnuCash(accountId) {
-    const syncLog = await prisma.gnuCashSyncLog.create({
+  async pickConflictResolution(entityType, record, backend = this.bookBackend, options = {}) {
+    const policy = this.getConflictPolicy(entityType, options);
+    if (policy !== 'newest_wins') {
+      return policy;
+    }
+    const gcModifiedAt = await backend.getAccountModifiedAt(record.gcAccountId);
+    return gcModifiedAt && gcModifiedAt > record.updatedAt ? 'gc_wins' : 'qb_wins';
+  }
+
+  /**
+   * Map a GnuCash account to QB fields. Required fields are dropped when
+   * GnuCash has no value for them, so the current value is kept.
+   */
+  mapAccountToEntity(entityType, account, current = {}) {
+    const fieldMappings = this.mappingConfig.mappings[entityType].fieldMappings;
+    const qbData = this.entityMapper.mapGnuCashToEntity(entityType, {
+      name: account.name,
+      code: account.code,
+      description: account.description,
+      placeholder: account.placeholder,
+      type: account.type,
+      account_type: account.type,
+      commodity: account.commodity
+    }, current);
+
+    Object.keys(qbData).forEach(qbField => {
+      if (fieldMappings[qbField].required && (qbData[qbField] === null || qbData[qbField] === '')) {
+        delete qbData[qbField];
+      }
+    });
+    return qbData;
+  }
+
+  /**
+   * Fields of a record that differ from its GnuCash account, as
+   * { field: { from, to } }
+   */
+  getGnuCashChanges(entityType, record, account) {
+    const changes = {};
+    Object.entries(this.mapAccountToEntity(entityType, account, record)).forEach(([field, value]) => {
+      if (value !== record[field]) {
+        changes[field] = { from: record[field], to: value };
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Write a GnuCash account's values into its record and mark it synced
+   */
+  async applyGnuCashToRecord(entityType, record, account, changes = this.getGnuCashChanges(entityType, record, account)) {
+    await prisma[this.getEntityModel(entityType).delegate].update({
+      where: { id: record.id },
       data: {
-        entityType: 'Account',
-        entityId: accountId,
-        syncStatus: 'IN_PROGRESS',
-        syncDirection: 'qb_to_gc'
+        ...Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])),
+        gcSyncStatus: 'SYNCED',
+        gcSyncedAt: new Date(),
+        gcAccountId: account.guid,
+        gcSyncError: null,
+        gcSnapshot: JSON.stringify(this.accountSnapshot(account))
       }
     });
+    return changes;
+  }
 
-    try {
-      // Get the account data
-      const account = await prisma.account.findUnique({
-        where: { id: accountId }
-      });
+  /**
+   * Park a conflict in the review queue, replacing any pending conflict for
+   * the same record, and flag the record
+   */
+  async parkConflict(entityType, record, conflict, syncDirection) {
+    const data = {
+      gcAccountId: conflict.gcAccountId,
+      syncDirection,
+      qbData: JSON.stringify(conflict.qbData),
+      gcData: JSON.stringify(conflict.gcData),
+      baseData: JSON.stringify(conflict.baseData)
+    };
 
-      if (!account) {
-        throw new Error(`Account not found: ${accountId}`);
+    const pending = await prisma.gnuCashConflict.findFirst({
+      where: { entityType, entityId: String(record.id), status: 'PENDING' }
+    });
+    const parked = pending
+      ? await prisma.gnuCashConflict.update({ where: { id: pending.id }, data })
+      : await prisma.gnuCashConflict.create({ data: { entityType, entityId: String(record.id), status: 'PENDING', ...data } });
+
+    await prisma[this.getEntityModel(entityType).delegate].update({
+      where: { id: record.id },
+      data: {
+        gcSyncStatus: 'CONFLICT',
+        gcSyncError: `Changed in both QuickBooks and GnuCash since the last sync; waiting for review (conflict ${parked.id})`
       }
+    });
 
-      // Map to GnuCash format
-      const gcData = this.entityMapper.mapEntityToGnuCash('Account', {
-        accountNumber: account.accountNumber,
-        holderName: account.holderName,
-        type: account.type,
-        balance: account.balance,
-        isActive: account.isActive
-      });
+    console.log(`⚠️ ${entityType} ${record.id} changed on both sides, parked as conflict ${parked.id}`);
+    return parked;
+  }
 
-      // Create GnuCash account structure
-      const gcAccountId = this.generateGUID();
-      const gcAccount = this.createGnuCashAccount(gcData, gcAccountId);
+  /**
+   * Apply the conflict policy before writing a record to GnuCash. Returns
+   * null when the QB side should be written as usual, or the sync result
+   * when GnuCash won or the conflict was parked for review.
+   */
+  async handleConflict(entityType, record, gcAccountId, syncLog, options = {}) {
+    const conflict = this.detectConflict(entityType, record, gcAccountId);
+    if (!conflict) return null;
 
-      // Update the account with GnuCash sync info
-      await prisma.account.update({
-        where: { id: accountId },
-        data: {
-          gcSyncStatus: 'SYNCED',
-          gcSyncedAt: new Date(),
-          gcAccountId: gcAccountId,
-          gcSyncError: null
-        }
-      });
+    const resolution = await this.pickConflictResolution(entityType, record, this.bookBackend, options);
+    if (resolution === 'qb_wins') {
+      console.log(`⚠️ ${entityType} ${record.id} changed on both sides, QuickBooks wins`);
+      return null;
+    }
 
-      // Update sync log
-      await prisma.gnuCashSyncLog.update({
-        where: { id: syncLog.id },
+    const gcFilePath = this.bookBackend.filePath;
+    const { qbChanges, gcChanges } = conflict;
+    let syncStatus;
+    let metadata;
+    let result;
+
+    if (resolution === 'gc_wins') {
+      const changes = await this.applyGnuCashToRecord(entityType, record, conflict.account);
+      syncStatus = 'SYNCED';
+      metadata = { gcAccountId, operation: 'conflict', resolution, qbChanges, gcChanges, changes };
+      result = { success: true, gcAccountId, gcFilePath, conflict: { resolution, changes } };
+    } else {
+      const parked = await this.parkConflict(entityType, record, conflict, 'qb_to_gc');
+      syncStatus = 'CONFLICT';
+      metadata = { gcAccountId, operation: 'conflict', resolution, conflictId: parked.id, qbChanges, gcChanges };
+      result = { success: false, gcAccountId, gcFilePath, conflict: { resolution, conflictId: parked.id } };
+    }
+
+    await prisma.gnuCashSyncLog.update({
+      where: { id: syncLog.id },
+      data: {
+        syncStatus,
+        syncCompletedAt: new Date(),
+        gcFilePath,
+        metadata: JSON.stringify(metadata)
+      }
+    });
+    return result;
+  }
+
+  /**
+   * List conflicts in the review queue
+   */
+  async listConflicts({ entityType = null, status = 'PENDING' } = {}) {
+    return prisma.gnuCashConflict.findMany({
+      where: {
+        ...(entityType && { entityType }),
+        ...(status && { status })
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Resolve a parked conflict by re-running the sync with the chosen side
+   * winning ("qb_wins" or "gc_wins"). The conflict stays pending if the
+   * sync does not succeed.
+   */
+  async resolveConflict(conflictId, resolution) {
+    if (!['qb_wins', 'gc_wins'].includes(resolution)) {
+      throw new Error(`Invalid resolution: ${resolution} (expected qb_wins or gc_wins)`);
+    }
+
+    const conflict = await prisma.gnuCashConflict.findUnique({ where: { id: conflictId } });
+    if (!conflict) {
+      throw new Error(`Conflict not found: ${conflictId}`);
+    }
+    if (conflict.status !== 'PENDING') {
+      throw new Error(`Conflict ${conflictId} is already ${conflict.status.toLowerCase()}`);
+    }
+
+    const result = await this.syncEntityToGnuCash(conflict.entityType, conflict.entityId, { conflictResolution: resolution });
+    if (!result.success) {
+      return { conflict, result };
+    }
+
+    const resolved = await prisma.gnuCashConflict.update({
+      where: { id: conflictId },
+      data: { status: 'RESOLVED', resolution, resolvedAt: new Date() }
+    });
+    return { conflict: resolved, result };
+  }
+
+  /**
+   * Resolve a colon-separated parent path (e.g. "Liabilities:Tax") against the
+   * book's account tree, creating missing intermediate accounts as
+   * placeholders. An empty path resolves to the root account. With
+   * options.dryRun nothing is created, and a path with missing accounts
+   * resolves to null.
+   */
+  async resolveParentGuid(parentPath, accountType, options = {}) {
+    const names = (parentPath || '').split(':').map(n => n.trim()).filter(Boolean);
+
+    if (options.dryRun) {
+      return names.reduce((guid, name) => guid && (this.bookBackend.findChildAccount(guid, name)?.guid || null),
+        this.bookBackend.rootGuid);
+    }
+
+    const placeholderType = TOP_LEVEL_ACCOUNT_TYPES[names[0]] || accountType;
+    return this.bookBackend.ensureAccountPath(names, placeholderType);
+  }
+
+  /**
+   * Resolve the parent account of a record: the mapping's `parent` path, or
+   * for mappings with nestByFullName, the account of the record's parent.
+   * Sub-records (fullName like "Sales:East") nest under the account of their
+   * parent record, which is created as a placeholder if the parent has not
+   * been synced yet.
+   */
+  async resolveRecordParentGuid(entityType, record, gcData, options = {}) {
+    const accountType = gcData.account_type || gcData.type;
+    const parentNames = this.mappingConfig.mappings[entityType].nestByFullName
+      ? (record.fullName || '').split(':').slice(0, -1)
+      : [];
+
+    if (!record.isSubClass || parentNames.length === 0) {
+      return this.resolveParentGuid(gcData.parent, accountType, options);
+    }
+
+    const parentFullName = parentNames.join(':');
+    const parentRecord = await prisma[this.getEntityModel(entityType).delegate].findFirst({
+      where: {
+        OR: [
+          { fullName: parentFullName },
+          { name: parentFullName, isSubClass: false }
+        ]
+      }
+    });
+    if (parentRecord?.gcAccountId && this.bookBackend.findAccount(parentRecord.gcAccountId)) {
+      return toGnuCashGuid(parentRecord.gcAccountId);
+    }
+
+    return this.resolveParentGuid([gcData.parent, parentFullName].filter(Boolean).join(':'), accountType, options);
+  }
+
+  /**
+   * Bring the GnuCash balance of a synced account in line with the QB
+   * balance. The first sync posts an opening-balance transaction dated when
+   * the account was opened; later changes post an adjustment for the
+   * difference, so earlier transactions are never rewritten. Both balance
+   * against gnucashConfig.openingBalanceAccount, or for accounts in another
+   * commodity against its "<name> - <commodity>" sibling, as GnuCash names
+   * them. Placeholder accounts (inactive records) hold no transactions, so
+   * their balance is left alone.
+   */
+  async syncAccountBalance(gcAccountId, gcData, record) {
+    if (gcData.balance === undefined || gcData.placeholder) return null;
+
+    const gnucashConfig = this.mappingConfig.gnucashConfig || {};
+    const targetCents = Math.round(gcData.balance * 100);
+    const currentCents = Math.round(this.bookBackend.getAccountBalance(gcAccountId) * 100);
+    const cents = targetCents - currentCents;
+    if (cents === 0) return null;
+
+    const isOpening = currentCents === 0 && !record.gcSyncedAt;
+    const commodity = this.bookBackend.findAccount(gcAccountId)?.commodity
+      || gcData.commodity || gnucashConfig.defaultCurrency || 'USD';
+    const equityGuid = await this.resolveEquityGuid(commodity);
+
+    const transaction = {
+      guid: this.generateGUID(),
+      currency: commodity,
+      datePosted: isOpening ? (record.openedAt || new Date()) : new Date(),
+      description: isOpening ? 'Opening Balance' : 'Balance adjustment from QuickBooks',
+      splits: [
+        { accountGuid: gcAccountId, cents },
+        { accountGuid: equityGuid, cents: -cents }
+      ]
+    };
+    await this.bookBackend.addTransaction(transaction);
+
+    return {
+      guid: transaction.guid,
+      type: isOpening ? 'opening_balance' : 'adjustment',
+      amount: cents / 100
+    };
+  }
+
+  /**
+   * The equity account that balances postings in `commodity`, created in
+   * that commodity if missing. Fails if the account by that name holds
+   * another commodity, as the splits of a transaction share one.
+   */
+  async resolveEquityGuid(commodity) {
+    const gnucashConfig = this.mappingConfig.gnucashConfig || {};
+    const equityNames = (gnucashConfig.openingBalanceAccount || 'Equity:Opening Balances').split(':');
+
+    let equityGuid = await this.bookBackend.ensureAccountPath(equityNames, 'EQUITY', false, commodity);
+    if (this.bookBackend.findAccount(equityGuid).commodity === commodity) return equityGuid;
+
+    equityNames[equityNames.length - 1] += ` - ${commodity}`;
+    equityGuid = await this.bookBackend.ensureAccountPath(equityNames, 'EQUITY', false, commodity);
+    const equityAccount = this.bookBackend.findAccount(equityGuid);
+    if (equityAccount.commodity !== commodity) {
+      throw new ValidationError([{
+        field: 'openingBalanceAccount',
+        rule: 'commodity',
+        message: `GnuCash account "${equityNames.join(':')}" is in ${equityAccount.commodity}, but balances in ${commodity} are posted against it`
+      }]);
+    }
+    return equityGuid;
+  }
+
+  /**
+   * Mark the sync log of an attempt IN_PROGRESS, creating it unless
+   * options.syncLogId names the log of a queued sync (options.retryCount is
+   * then the number of earlier attempts)
+   */
+  async startSyncLog(entityType, entityId, options = {}) {
+    if (options.syncLogId) {
+      return prisma.gnuCashSyncLog.update({
+        where: { id: options.syncLogId },
         data: {
-          syncStatus: 'SYNCED',
-          syncCompletedAt: new Date(),
-          metadata: JSON.stringify({ gcAccountId, gcAccount })
+          syncStatus: 'IN_PROGRESS',
+          errorMessage: null,
+          syncCompletedAt: null,
+          retryCount: options.retryCount || 0
         }
       });
+    }
 
-      console.log(`✅ Account ${account.holderName} synced to GnuCash`);
-      return { success: true, gcAccountId, gcAccount };
+    return prisma.gnuCashSyncLog.create({
+      data: {
+        entityType,
+        entityId,
+        syncStatus: 'IN_PROGRESS',
+        syncDirection: 'qb_to_gc',
+        triggeredBy: callerLabel()
+      }
+    });
+  }
 
-    } catch (error) {
-      // Update with error
-      await prisma.account.update({
-        where: { id: accountId },
+  /**
+   * Backoff for failed sync jobs, from syncRules
+   */
+  getRetryPolicy() {
+    const syncRules = this.mappingConfig.syncRules;
+    return {
+      retryAttempts: syncRules.retryAttempts,
+      baseDelayMs: syncRules.retryBaseDelayMs,
+      maxDelayMs: syncRules.retryMaxDelayMs
+    };
+  }
+
+  /**
+   * Run queued GnuCash syncs on this service. Every attempt of a job reuses
+   * the sync log created when it was queued.
+   */
+  registerSyncJobHandler() {
+    syncJobQueue.registerHandler(GNUCASH_SYNC_JOB, {
+      run: ({ entityType, entityId, options, syncLogId }, job) =>
+        this.syncEntityToGnuCash(entityType, entityId, { ...options, syncLogId, retryCount: job.attempts - 1 }),
+      retryPolicy: () => this.getRetryPolicy(),
+      onExhausted: ({ entityType, entityId, syncLogId }, error, job) =>
+        this.markSyncFailedPermanently(entityType, entityId, syncLogId, error, job.attempts - 1),
+      configVersion: () => this.configVersion
+    });
+  }
+
+  /**
+   * Queue a sync of a record. A sync worker runs it, retrying failures with
+   * exponential backoff up to syncRules.retryAttempts times. Returns the job.
+   */
+  async enqueueSync(entityType, entityId, options = {}) {
+    entityId = this.parseEntityId(entityType, entityId);
+
+    const syncLog = await prisma.gnuCashSyncLog.create({
+      data: {
+        entityType,
+        entityId: String(entityId),
+        syncStatus: 'PENDING',
+        syncDirection: 'qb_to_gc',
+        triggeredBy: callerLabel()
+      }
+    });
+
+    const retryAttempts = this.mappingConfig.syncRules.retryAttempts ?? DEFAULT_RETRY_POLICY.retryAttempts;
+    return syncJobQueue.enqueue(GNUCASH_SYNC_JOB, {
+      entityType,
+      entityId,
+      options,
+      syncLogId: syncLog.id
+    }, { maxAttempts: retryAttempts + 1 });
+  }
+
+  /**
+   * Queue a sync and wait for its first attempt. Returns the sync result with
+   * its jobId, or { success: false, queued: true, jobId, error } when the job
+   * is waiting for a retry (or for a worker, if the wait timed out). Throws
+   * SyncJobError if the job failed for good. Unchanged records are skipped
+   * without queueing a job: { success: true, unchanged: true, gcAccountId }.
+   */
+  async syncViaQueue(entityType, entityId, options = {}) {
+    const skipped = await this.skipUnchanged(entityType, entityId, options);
+    if (skipped) {
+      return skipped;
+    }
+
+    const { id: jobId } = await this.enqueueSync(entityType, entityId, options);
+    const { job, result } = await syncJobQueue.awaitResult(jobId);
+
+    return result
+      ? { ...result, jobId }
+      : { success: false, queued: true, jobId, error: job.lastError };
+  }
+
+  /**
+   * Move a record whose retries ran out (or whose error cannot be fixed by
+   * retrying) to the terminal FAILED_PERMANENTLY state
+   */
+  async markSyncFailedPermanently(entityType, entityId, syncLogId, error, retries) {
+    // The mapping may have been disabled since the sync was queued
+    const model = entityModels[entityType];
+    if (model) {
+      await prisma[model.delegate].update({
+        where: { id: entityId },
         data: {
-          gcSyncStatus: 'FAILED',
-          gcSyncError: error.message
+          gcSyncStatus: 'FAILED_PERMANENTLY',
+          gcSyncError: this.formatSyncError(error)
         }
       }).catch(() => {});
+    }
 
+    if (syncLogId) {
       await prisma.gnuCashSyncLog.update({
-        where: { id: syncLog.id },
-        data: {
-          syncStatus: 'FAILED',
-          errorMessage: error.message,
-          syncCompletedAt: new Date()
-        }
+        where: { id: syncLogId },
+        data: { syncStatus: 'FAILED_PERMANENTLY' }
       });
-
-      console.error(`❌ Failed to sync account ${accountId}:`, error);
-      throw error;
     }
+
+    console.error(`❌ Giving up on ${entityType} ${entityId} after ${retries} retries:`, error.message);
   }
 
   /**
-   * Sync a Taxation record to GnuCash
+   * Syncs that ended in FAILED_PERMANENTLY, newest first
    */
-  async syncTaxationToGnuCash(taxationId) {
-    const syncLog = await prisma.gnuCashSyncLog.create({
-      data: {
-        entityType: 'Taxation',
-        entityId: String(taxationId),
-        syncStatus: 'IN_PROGRESS',
-        syncDirection: 'qb_to_gc'
-      }
+  async listFailedSyncs({ entityType = null, limit = 100 } = {}) {
+    return prisma.gnuCashSyncLog.findMany({
+      where: {
+        syncStatus: 'FAILED_PERMANENTLY',
+        ...(entityType && { entityType })
+      },
+      orderBy: { syncCompletedAt: 'desc' },
+      take: limit
     });
+  }
+
+  /**
+   * Preview a sync without writing to the database, the sync logs or the
+   * book. Returns the GnuCash account the sync would write, its validation
+   * errors, the operation ("create" or "update"), a field-by-field diff
+   * against the account as last synced (the record's gcSnapshot) and any
+   * conflict the sync would run into. A parent account that does not exist
+   * yet (it would be created by the sync) shows as a null parent GUID.
+   */
+  async previewSync(entityType, entityId, options = {}) {
+    const { delegate } = this.getEntityModel(entityType);
+    const id = this.parseEntityId(entityType, entityId);
+    const record = await prisma[delegate].findUnique({ where: { id } });
+
+    if (!record) {
+      throw new Error(`${entityType} not found: ${id}`);
+    }
+
+    const preview = {
+      entityType,
+      entityId: id,
+      valid: true,
+      validationErrors: [],
+      operation: null,
+      gcAccountId: null,
+      gcAccount: null,
+      diff: [],
+      conflict: null
+    };
 
     try {
-      // Get the taxation data
-      const taxation = await prisma.taxation.findUnique({
-        where: { id: taxationId }
+      const gcData = this.entityMapper.mapEntityToGnuCash(entityType, record, this.getKnownCommodities());
+      const parentGuid = await this.resolveRecordParentGuid(entityType, record, gcData, { dryRun: true });
+      const { gcAccountId, operation } = await this.resolveGcAccountId(entityType, record, gcData, parentGuid, options);
+
+      preview.operation = operation;
+      preview.gcAccountId = operation === 'update' ? gcAccountId : null;
+      preview.gcAccount = this.createGnuCashAccount(gcData, gcAccountId, parentGuid);
+      preview.gcAccount['act:parent']['#text'] = parentGuid;
+
+      const lastSynced = record.gcSnapshot ? JSON.parse(record.gcSnapshot) : null;
+      preview.diff = diffFields(lastSynced, this.accountSnapshot(gcData));
+      if (gcData.balance !== undefined) {
+        const balance = operation === 'update' ? this.bookBackend.getAccountBalance(gcAccountId) : null;
+        preview.diff.push(...diffFields({ balance }, { balance: gcData.balance }));
+      }
+
+      const conflict = this.detectConflict(entityType, record, gcAccountId);
+      if (conflict) {
+        preview.conflict = {
+          resolution: await this.pickConflictResolution(entityType, record, this.bookBackend, options),
+          qbChanges: conflict.qbChanges,
+          gcChanges: conflict.gcChanges
+        };
+      }
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      preview.valid = false;
+      preview.validationErrors = error.errors;
+    }
+
+    return preview;
+  }
+
+  /**
+   * Preview the syncs of several records (see previewSync). Records that
+   * cannot be previewed (e.g. not found) count as invalid.
+   */
+  async batchPreviewSync(entityType, entityIds, options = {}) {
+    const previews = await Promise.all(entityIds.map(id =>
+      this.previewSync(entityType, id, options).catch(error => ({
+        entityType,
+        entityId: id,
+        valid: false,
+        validationErrors: error instanceof ValidationError ? error.errors : [],
+        error: error.message
+      }))));
+
+    const valid = previews.filter(preview => preview.valid).length;
+    return { total: entityIds.length, valid, invalid: previews.length - valid, previews };
+  }
+
+  /**
+   * Sync one record of any mapped entity type to GnuCash: map it with its
+   * entityMapping.json mapping, write the account (and balance, if one is
+   * mapped) into the book and mark the record synced
+   */
+  async syncEntityToGnuCash(entityType, entityId, options = {}) {
+    const { delegate } = this.getEntityModel(entityType);
+    const id = this.parseEntityId(entityType, entityId);
+    const syncLog = await this.startSyncLog(entityType, String(id), options);
+
+    try {
+      const record = await prisma[delegate].findUnique({
+        where: { id }
       });
 
-      if (!taxation) {
-        throw new Error(`Taxation not found: ${taxationId}`);
+      if (!record) {
+        throw new Error(`${entityType} not found: ${id}`);
       }
 
       // Map to GnuCash format
-      const gcData = this.entityMapper.mapEntityToGnuCash('Taxation', {
-        title: taxation.title,
-        taxRate: taxation.taxRate,
-        documentNumber: taxation.documentNumber,
-        isActive: taxation.isActive
-      });
+      const gcData = this.entityMapper.mapEntityToGnuCash(entityType, record, this.getKnownCommodities());
+
+      // Create GnuCash account structure, reusing the GUID of a previous sync
+      const parentGuid = await this.resolveRecordParentGuid(entityType, record, gcData);
+      const { gcAccountId, operation } = await this.resolveGcAccountId(entityType, record, gcData, parentGuid, options);
+
+      // Both sides changed since the last sync: apply the conflict policy
+      const conflictResult = await this.handleConflict(entityType, record, gcAccountId, syncLog, options);
+      if (conflictResult) {
+        recordSync(entityType, GNUCASH_SYSTEM, 'conflict');
+        return conflictResult;
+      }
 
-      // Create GnuCash account structure
-      const gcAccountId = this.generateGUID();
-      const gcAccount = this.createGnuCashAccount(gcData, gcAccountId);
+      const gcAccount = this.createGnuCashAccount(gcData, gcAccountId, parentGuid);
+      const gcFilePath = await this.writeAccountToBook(gcAccount);
+      const balanceTransaction = await this.syncAccountBalance(gcAccountId, gcData, record);
 
-      // Update the taxation with GnuCash sync info
-      await prisma.taxation.update({
-        where: { id: taxationId },
+      // Update the record with GnuCash sync info
+      await prisma[delegate].update({
+        where: { id },
         data: {
           gcSyncStatus: 'SYNCED',
           gcSyncedAt: new Date(),
           gcAccountId: gcAccountId,
-          gcSyncError: null
+          gcSyncError: null,
+          gcSnapshot: JSON.stringify(this.accountSnapshot(gcData))
         }
       });
+      await saveContentHash(this.contentHashKey(entityType, id), hashContent(this.syncContent(gcData, parentGuid)));
 
       // Update sync log
       await prisma.gnuCashSyncLog.update({
@@ -381,20 +1388,22 @@ export class GnuCashSyncService {
         data: {
           syncStatus: 'SYNCED',
           syncCompletedAt: new Date(),
-          metadata: JSON.stringify({ gcAccountId, gcAccount })
+          gcFilePath,
+          metadata: JSON.stringify({ gcAccountId, operation, gcAccount, balanceTransaction })
         }
       });
 
-      console.log(`✅ Taxation ${taxation.title} synced to GnuCash`);
-      return { success: true, gcAccountId, gcAccount };
+      recordSync(entityType, GNUCASH_SYSTEM, 'success');
+      console.log(`✅ ${entityType} ${gcData.name} synced to GnuCash`);
+      return { success: true, gcAccountId, gcAccount, gcFilePath, balanceTransaction };
 
     } catch (error) {
       // Update with error
-      await prisma.taxation.update({
-        where: { id: taxationId },
+      await prisma[delegate].update({
+        where: { id },
         data: {
           gcSyncStatus: 'FAILED',
-          gcSyncError: error.message
+          gcSyncError: this.formatSyncError(error)
         }
       }).catch(() => {});
 
@@ -403,85 +1412,92 @@ export class GnuCashSyncService {
         data: {
           syncStatus: 'FAILED',
           errorMessage: error.message,
-          syncCompletedAt: new Date()
+          syncCompletedAt: new Date(),
+          metadata: error instanceof ValidationError
+            ? JSON.stringify({ validationErrors: error.errors })
+            : undefined
         }
       });
 
-      console.error(`❌ Failed to sync taxation ${taxationId}:`, error);
+      recordSync(entityType, GNUCASH_SYSTEM, 'failure');
+      console.error(`❌ Failed to sync ${entityType} ${id}:`, error);
       throw error;
     }
   }
 
   /**
-   * Batch sync multiple entities to GnuCash
+   * Batch sync multiple entities to GnuCash, queueing batchSize jobs at a
+   * time and waiting for each one's first attempt. Records that have not
+   * changed since their last sync are skipped and counted as unchanged.
    */
-  async batchSyncToGnuCash(entityType, entityIds) {
-    const batchSize = this.mappingConfig.syncRules.batchSize || 10;
+  async batchSyncToGnuCash(entityType, entityIds, options = {}, batchSize = this.mappingConfig.syncRules.batchSize || 10) {
     const results = [];
 
     for (let i = 0; i < entityIds.length; i += batchSize) {
       const batch = entityIds.slice(i, i + batchSize);
       
       const batchResults = await Promise.allSettled(
-        batch.map(id => {
-          switch (entityType) {
-            case 'Class':
-              return this.syncClassToGnuCash(id);
-            case 'Account':
-              return this.syncAccountToGnuCash(id);
-            case 'Taxation':
-              return this.syncTaxationToGnuCash(id);
-            default:
-              return Promise.reject(new Error(`Unknown entity type: ${entityType}`));
-          }
-        })
+        batch.map(id => this.syncViaQueue(entityType, id, options))
       );
 
       results.push(...batchResults);
     }
 
-    const successful = results.filter(r => r.status === 'fulfilled').length;
+    // Conflicts parked for manual review, jobs waiting for a retry and
+    // skipped unchanged records are neither synced nor failed
+    const fulfilled = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+    const conflicts = fulfilled.filter(r => r.conflict?.resolution === 'manual').length;
+    const queued = fulfilled.filter(r => r.queued).length;
+    const unchanged = fulfilled.filter(r => r.unchanged).length;
+    const successful = fulfilled.length - conflicts - queued - unchanged;
     const failed = results.filter(r => r.status === 'rejected').length;
 
     return {
       total: entityIds.length,
       successful,
       failed,
+      conflicts,
+      queued,
+      unchanged,
       results
     };
   }
 
   /**
-   * Get sync statistics
+   * Get sync statistics: record counts by gcSyncStatus for each entity type,
+   * sync log counts by entity type and status, and the time series and
+   * durations of the syncs started within `range` (see
+   * resolveStatisticsRange)
    */
-  async getSyncStatistics() {
-    const [classes, accounts, taxations, logs] = await Promise.all([
-      prisma.qBClass.groupBy({
-        by: ['gcSyncStatus'],
-        _count: true
-      }),
-      prisma.account.groupBy({
-        by: ['gcSyncStatus'],
-        _count: true
-      }),
-      prisma.taxation.groupBy({
-        by: ['gcSyncStatus'],
-        _count: true
-      }),
+  async getSyncStatistics(range = {}) {
+    const { range: resolved, errors } = resolveStatisticsRange(range);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const entityTypes = Object.keys(entityModels);
+    const [entityCounts, logCounts, timeSeries] = await Promise.all([
+      Promise.all(entityTypes.map(entityType =>
+        prisma[entityModels[entityType].delegate].groupBy({
+          by: ['gcSyncStatus'],
+          _count: true
+        }))),
       prisma.gnuCashSyncLog.groupBy({
         by: ['syncStatus', 'entityType'],
         _count: true
-      })
+      }),
+      querySyncTimeSeries({ table: 'GnuCashSyncLog', entityType: Prisma.sql`log."entityType"` }, resolved)
     ]);
 
     return {
-      classes,
-      accounts,
-      taxations,
-      logs,
-      summary: {
-        totalSyncOperations: logs.reduce((sum, l) => sum + l._count, 0)
-      }
+      entities: entityTypes.map((entityType, i) => ({
+        entityType,
+        total: entityCounts[i].reduce((sum, c) => sum + c._count, 0),
+        statuses: entityCounts[i].map(c => ({ status: c.gcSyncStatus, count: c._count }))
+      })),
+      logs: logCounts.map(c => ({ entityType: c.entityType, status: c.syncStatus, count: c._count })),
+      totalSyncOperations: logCounts.reduce((sum, c) => sum + c._count, 0),
+      timeSeries
     };
   }
 }
@@ -0,0 +1,630 @@
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { AccountChangeTracker } from './AccountChangeTracker.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const BOOK_VERSION = '2.0.0';
+
+const NAMESPACES = [
+  'gnc', 'act', 'book', 'cd', 'cmdty', 'price', 'slot', 'split', 'sx', 'trn',
+  'ts', 'fs', 'bgt', 'recurrence', 'lot', 'addr', 'billterm', 'bt-days',
+  'bt-prox', 'cust', 'employee', 'entry', 'invoice', 'job', 'order', 'owner',
+  'taxtable', 'tte', 'vendor'
+];
+
+/**
+ * Normalize any GUID (dashed UUID or GnuCash style) to the 32 lowercase hex
+ * digits GnuCash expects
+ */
+export const toGnuCashGuid = (guid) => String(guid).replace(/-/g, '').toLowerCase();
+
+/**
+ * Generate a new GnuCash GUID
+ */
+export const newGnuCashGuid = () => crypto.randomBytes(16).toString('hex');
+
+export const isNullGuid = (guid) => !guid || /^0+$/.test(toGnuCashGuid(guid));
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const decodeEntities = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+const parseAttributes = (source) => {
+  const attrs = {};
+  const attrPattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attrPattern.exec(source))) {
+    attrs[match[1]] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attrs;
+};
+
+/**
+ * Minimal XML parser, sufficient for GnuCash books. Every element node keeps
+ * its source offsets so elements we do not model can be written back verbatim.
+ */
+export function parseXml(source) {
+  const root = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const tagPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([^\s>\/!?]+)([^>]*?)(\/?)>/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(source))) {
+    const current = stack[stack.length - 1];
+    current.text += decodeEntities(source.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    if (match[1] !== undefined) {
+      current.text += match[1];
+      continue;
+    }
+    if (!match[3]) continue; // comment or processing instruction
+
+    if (match[2]) {
+      const node = stack.pop();
+      if (node.name !== match[3]) {
+        throw new Error(`Malformed XML: expected </${node.name}> but found </${match[3]}>`);
+      }
+      node.end = lastIndex;
+      continue;
+    }
+
+    const node = {
+      name: match[3],
+      attrs: parseAttributes(match[4]),
+      children: [],
+      text: '',
+      start: match.index,
+      end: lastIndex
+    };
+    current.children.push(node);
+    if (!match[5]) stack.push(node);
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Malformed XML: unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+}
+
+export const childNode = (node, name) => node?.children.find(c => c.name === name);
+export const childText = (node, name) => childNode(node, name)?.text.trim();
+
+/**
+ * Read the slots of an account or book into a flat key/value object
+ */
+const parseRational = (value) => {
+  const [num, denom = '1'] = String(value || '0').split('/');
+  return Number(num) / Number(denom);
+};
+
+const formatTimestamp = (date) =>
+  `${new Date(date).toISOString().slice(0, 19).replace('T', ' ')} +0000`;
+
+// Account elements held as fields; any other element is kept as written
+const MODELLED_ACCOUNT_ELEMENTS = [
+  'act:name', 'act:id', 'act:type', 'act:commodity', 'act:commodity-scu',
+  'act:code', 'act:description', 'act:slots', 'act:parent'
+];
+
+// Commodity scu of accounts we create: cents
+const DEFAULT_COMMODITY_SCU = '100';
+
+const readSlots = (slotsNode) => {
+  const slots = {};
+  (slotsNode?.children || []).forEach(slot => {
+    const key = childText(slot, 'slot:key');
+    const valueNode = childNode(slot, 'slot:value');
+    if (key && valueNode && valueNode.attrs.type !== 'frame') {
+      slots[key] = valueNode.text.trim();
+    }
+  });
+  return slots;
+};
+
+/**
+ * GnuCash XML Backend - Reads and writes a GnuCash XML (.gnucash) book
+ *
+ * The book is held in memory and written out in full on every change, gzip
+ * compressed when `compress` is set (the GnuCash desktop default). Book
+ * content we do not model (transactions entered by hand, prices, budgets,
+ * scheduled transactions, ...) is preserved verbatim, as are the slots
+ * (notes, color, hidden, ...) and other elements of accounts that we do not
+ * model, and their commodity scu.
+ */
+export class GnuCashXmlBackend {
+  constructor({ filePath, compress = true, rootGuid = null, defaultCurrency = 'USD' }) {
+    this.filePath = filePath;
+    this.compress = compress;
+    this.configuredRootGuid = isNullGuid(rootGuid) ? null : toGnuCashGuid(rootGuid);
+    this.defaultCurrency = defaultCurrency;
+
+    this.pending = Promise.resolve();
+    this.changes = new AccountChangeTracker();
+    this.reset();
+  }
+
+  reset() {
+    this.bookGuid = null;
+    this.rootGuid = null;
+    this.commodities = new Map();
+    this.accounts = new Map();
+    this.transactions = [];
+    this.preservedCounts = [];
+    this.preserved = [];
+    this.loaded = false;
+    this.mtimeMs = null;
+  }
+
+  async readMtime() {
+    try {
+      return (await fs.stat(this.filePath)).mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * When an account last changed outside this process (see
+   * AccountChangeTracker), or null
+   */
+  async getAccountModifiedAt(guid) {
+    await this.reload();
+    return this.changes.modifiedAt(toGnuCashGuid(guid));
+  }
+
+  /**
+   * Load the book from disk, or start a new one if the file does not exist
+   * yet. A loaded book is re-read when the file has changed on disk since,
+   * e.g. after being edited in GnuCash.
+   */
+  async open() {
+    if (this.loaded) {
+      if (await this.readMtime() === this.mtimeMs) return this;
+      this.reset();
+    }
+
+    let raw = null;
+    try {
+      raw = await fs.readFile(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (raw) {
+      this.parseBook(raw[0] === 0x1f && raw[1] === 0x8b ? await gunzip(raw) : raw);
+    } else {
+      this.bookGuid = newGnuCashGuid();
+      this.rootGuid = this.configuredRootGuid || newGnuCashGuid();
+      this.accounts.set(this.rootGuid, {
+        guid: this.rootGuid,
+        name: 'Root Account',
+        type: 'ROOT',
+        commodity: this.defaultCurrency,
+        parentGuid: null
+      });
+    }
+
+    this.addCommodity('ISO4217', this.defaultCurrency);
+    this.loaded = true;
+    this.mtimeMs = await this.readMtime();
+    this.changes.observe(this.getAccounts(), this.mtimeMs === null ? null : new Date(this.mtimeMs));
+    return this;
+  }
+
+  /**
+   * Pick up changes made to the file outside this process
+   */
+  async reload() {
+    return this.serialize(() => this.open());
+  }
+
+  /**
+   * Populate the in-memory book from GnuCash XML
+   */
+  parseBook(buffer) {
+    const source = buffer.toString('utf-8');
+    const bookNode = childNode(childNode(parseXml(source), 'gnc-v2'), 'gnc:book');
+    if (!bookNode) {
+      throw new Error(`Not a GnuCash XML book: ${this.filePath}`);
+    }
+
+    this.bookGuid = childText(bookNode, 'book:id');
+
+    for (const node of bookNode.children) {
+      switch (node.name) {
+        case 'book:id':
+          break;
+
+        case 'gnc:count-data':
+          if (!['commodity', 'account', 'transaction'].includes(node.attrs['cd:type'])) {
+            this.preservedCounts.push(source.slice(node.start, node.end));
+          }
+          break;
+
+        case 'gnc:commodity':
+          this.addCommodity(childText(node, 'cmdty:space'), childText(node, 'cmdty:id'));
+          break;
+
+        case 'gnc:account': {
+          const commodityNode = childNode(node, 'act:commodity');
+          const slotsNode = childNode(node, 'act:slots');
+          const slots = readSlots(slotsNode);
+          const raw = (child) => source.slice(child.start, child.end);
+          const account = {
+            guid: childText(node, 'act:id'),
+            name: childText(node, 'act:name') || '',
+            type: childText(node, 'act:type'),
+            commodity: childText(commodityNode, 'cmdty:id') || null,
+            commoditySpace: childText(commodityNode, 'cmdty:space') || 'ISO4217',
+            code: childText(node, 'act:code') || '',
+            description: childText(node, 'act:description') || '',
+            placeholder: slots.placeholder === 'true',
+            parentGuid: childText(node, 'act:parent') || null,
+            commodityScu: childText(node, 'act:commodity-scu') || null,
+            preservedSlots: (slotsNode?.children || [])
+              .filter(slot => childText(slot, 'slot:key') !== 'placeholder')
+              .map(raw),
+            preservedElements: node.children
+              .filter(child => !MODELLED_ACCOUNT_ELEMENTS.includes(child.name))
+              .map(raw)
+          };
+          if (account.type === 'ROOT') {
+            this.rootGuid = account.guid;
+          }
+          this.accounts.set(account.guid, account);
+          break;
+        }
+
+        case 'gnc:transaction':
+          this.transactions.push({
+            guid: childText(node, 'trn:id'),
+            raw: source.slice(node.start, node.end),
+            splits: (childNode(node, 'trn:splits')?.children || []).map(split => ({
+              accountGuid: childText(split, 'split:account'),
+              amount: parseRational(childText(split, 'split:quantity'))
+            }))
+          });
+          break;
+
+        default:
+          this.preserved.push(source.slice(node.start, node.end));
+      }
+    }
+
+    if (!this.rootGuid) {
+      throw new Error(`GnuCash book has no root account: ${this.filePath}`);
+    }
+  }
+
+  addCommodity(space, id) {
+    if (space && id && space !== 'template') {
+      this.commodities.set(`${space}:${id}`, { space, id });
+    }
+  }
+
+  /**
+   * Run book mutations one at a time so concurrent syncs cannot interleave
+   * their writes to the same file
+   */
+  serialize(task) {
+    const run = this.pending.then(task);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  getAccounts() {
+    return [...this.accounts.values()];
+  }
+
+  findAccount(guid) {
+    return guid ? this.accounts.get(toGnuCashGuid(guid)) || null : null;
+  }
+
+  findChildAccount(parentGuid, name) {
+    return this.getAccounts().find(a => a.parentGuid === parentGuid && a.name === name) || null;
+  }
+
+  /**
+   * Walk a path of account names down from the root, creating any missing
+   * account as a placeholder of `placeholderType`. Returns the GUID of the
+   * last account in the path (the root for an empty path). With
+   * `leafPlaceholder` false the last account is created as a regular
+   * account, so it can hold transactions. Created accounts are in
+   * `commodity`, the book's default currency unless given.
+   */
+  async ensureAccountPath(names, placeholderType, leafPlaceholder = true, commodity = this.defaultCurrency) {
+    return this.serialize(async () => {
+      await this.open();
+
+      let parentGuid = this.rootGuid;
+      let created = false;
+      for (const [index, name] of names.entries()) {
+        let account = this.findChildAccount(parentGuid, name);
+        if (!account) {
+          account = {
+            guid: newGnuCashGuid(),
+            name,
+            type: placeholderType,
+            commodity,
+            placeholder: leafPlaceholder || index < names.length - 1,
+            parentGuid
+          };
+          this.accounts.set(account.guid, account);
+          created = true;
+        }
+        parentGuid = account.guid;
+      }
+
+      if (created) {
+        this.addCommodity('ISO4217', commodity);
+        await this.save();
+      }
+      return parentGuid;
+    });
+  }
+
+  /**
+   * Insert or replace an account and write the book. Returns the file path.
+   * What the book holds for the account beyond the modelled fields is kept,
+   * and so is its commodity scu unless the commodity changes.
+   */
+  async upsertAccount(account) {
+    return this.serialize(async () => {
+      await this.open();
+
+      const guid = toGnuCashGuid(account.guid);
+      const existing = this.accounts.get(guid);
+      const commodity = account.commodity || this.defaultCurrency;
+      this.accounts.set(guid, {
+        ...account,
+        guid,
+        commodity,
+        commodityScu: existing?.commodity === commodity ? existing.commodityScu : null,
+        preservedSlots: existing?.preservedSlots || [],
+        preservedElements: existing?.preservedElements || [],
+        parentGuid: account.parentGuid ? toGnuCashGuid(account.parentGuid) : this.rootGuid
+      });
+      this.addCommodity('ISO4217', account.commodity || this.defaultCurrency);
+
+      await this.save();
+      return this.filePath;
+    });
+  }
+
+  /**
+   * Balance of an account in its commodity: the sum of its split quantities
+   */
+  getAccountBalance(guid) {
+    const accountGuid = toGnuCashGuid(guid);
+    return this.transactions.reduce((balance, transaction) => balance + transaction.splits
+      .filter(split => split.accountGuid === accountGuid)
+      .reduce((sum, split) => sum + split.amount, 0), 0);
+  }
+
+  /**
+   * Add a balanced transaction and write the book. Split amounts are in
+   * cents of `currency`. Returns the file path.
+   */
+  async addTransaction({ guid, currency, datePosted, description, num = '', splits }) {
+    return this.serialize(async () => {
+      await this.open();
+
+      this.transactions.push({
+        guid: toGnuCashGuid(guid),
+        currency: currency || this.defaultCurrency,
+        datePosted,
+        dateEntered: new Date(),
+        description,
+        num,
+        splits: splits.map(split => ({
+          guid: newGnuCashGuid(),
+          accountGuid: toGnuCashGuid(split.accountGuid),
+          cents: split.cents,
+          amount: split.cents / 100,
+          memo: split.memo || ''
+        }))
+      });
+      this.addCommodity('ISO4217', currency || this.defaultCurrency);
+
+      await this.save();
+      return this.filePath;
+    });
+  }
+
+  /**
+   * Accounts ordered parents-first, as GnuCash expects when loading
+   */
+  orderedAccounts() {
+    const children = new Map();
+    this.accounts.forEach(account => {
+      const siblings = children.get(account.parentGuid) || [];
+      siblings.push(account);
+      children.set(account.parentGuid, siblings);
+    });
+
+    const ordered = [];
+    const visit = (account) => {
+      ordered.push(account);
+      (children.get(account.guid) || []).forEach(visit);
+    };
+    visit(this.accounts.get(this.rootGuid));
+
+    // Orphans (parent missing from the book) are re-attached to the root
+    this.accounts.forEach(account => {
+      if (!ordered.includes(account)) {
+        account.parentGuid = this.rootGuid;
+        visit(account);
+      }
+    });
+    return ordered;
+  }
+
+  serializeCommodity({ space, id }) {
+    return [
+      `<gnc:commodity version="${BOOK_VERSION}">`,
+      `  <cmdty:space>${escapeXml(space)}</cmdty:space>`,
+      `  <cmdty:id>${escapeXml(id)}</cmdty:id>`,
+      '  <cmdty:get_quotes/>',
+      '  <cmdty:quote_source>currency</cmdty:quote_source>',
+      '  <cmdty:quote_tz/>',
+      '</gnc:commodity>'
+    ].join('\n');
+  }
+
+  serializeAccount(account) {
+    const lines = [
+      `<gnc:account version="${BOOK_VERSION}">`,
+      `  <act:name>${escapeXml(account.name)}</act:name>`,
+      `  <act:id type="guid">${account.guid}</act:id>`,
+      `  <act:type>${escapeXml(account.type)}</act:type>`,
+      '  <act:commodity>',
+      `    <cmdty:space>${escapeXml(account.commoditySpace || 'ISO4217')}</cmdty:space>`,
+      `    <cmdty:id>${escapeXml(account.commodity || this.defaultCurrency)}</cmdty:id>`,
+      '  </act:commodity>',
+      `  <act:commodity-scu>${escapeXml(account.commodityScu || DEFAULT_COMMODITY_SCU)}</act:commodity-scu>`
+    ];
+    // GnuCash expects act:non-standard-scu right after the scu
+    const preservedElements = account.preservedElements || [];
+    const isNonStandardScu = (element) => element.startsWith('<act:non-standard-scu');
+    lines.push(...preservedElements.filter(isNonStandardScu).map(element => `  ${element}`));
+    if (account.code) {
+      lines.push(`  <act:code>${escapeXml(account.code)}</act:code>`);
+    }
+    if (account.description) {
+      lines.push(`  <act:description>${escapeXml(account.description)}</act:description>`);
+    }
+    const preservedSlots = account.preservedSlots || [];
+    if (account.placeholder || preservedSlots.length) {
+      lines.push('  <act:slots>');
+      if (account.placeholder) {
+        lines.push(
+          '    <slot>',
+          '      <slot:key>placeholder</slot:key>',
+          '      <slot:value type="string">true</slot:value>',
+          '    </slot>'
+        );
+      }
+      lines.push(...preservedSlots.map(slot => `    ${slot}`), '  </act:slots>');
+    }
+    if (account.parentGuid) {
+      lines.push(`  <act:parent type="guid">${account.parentGuid}</act:parent>`);
+    }
+    lines.push(
+      ...preservedElements.filter(element => !isNonStandardScu(element)).map(element => `  ${element}`),
+      '</gnc:account>'
+    );
+    return lines.join('\n');
+  }
+
+  serializeTransaction(transaction) {
+    if (transaction.raw) return transaction.raw;
+
+    const lines = [
+      `<gnc:transaction version="${BOOK_VERSION}">`,
+      `  <trn:id type="guid">${transaction.guid}</trn:id>`,
+      '  <trn:currency>',
+      '    <cmdty:space>ISO4217</cmdty:space>',
+      `    <cmdty:id>${escapeXml(transaction.currency)}</cmdty:id>`,
+      '  </trn:currency>'
+    ];
+    if (transaction.num) {
+      lines.push(`  <trn:num>${escapeXml(transaction.num)}</trn:num>`);
+    }
+    lines.push(
+      '  <trn:date-posted>',
+      `    <ts:date>${formatTimestamp(transaction.datePosted)}</ts:date>`,
+      '  </trn:date-posted>',
+      '  <trn:date-entered>',
+      `    <ts:date>${formatTimestamp(transaction.dateEntered)}</ts:date>`,
+      '  </trn:date-entered>',
+      `  <trn:description>${escapeXml(transaction.description || '')}</trn:description>`,
+      '  <trn:splits>'
+    );
+    transaction.splits.forEach(split => {
+      lines.push(
+        '    <trn:split>',
+        `      <split:id type="guid">${split.guid}</split:id>`
+      );
+      if (split.memo) {
+        lines.push(`      <split:memo>${escapeXml(split.memo)}</split:memo>`);
+      }
+      lines.push(
+        '      <split:reconciled-state>n</split:reconciled-state>',
+        `      <split:value>${split.cents}/100</split:value>`,
+        `      <split:quantity>${split.cents}/100</split:quantity>`,
+        `      <split:account type="guid">${split.accountGuid}</split:account>`,
+        '    </trn:split>'
+      );
+    });
+    lines.push('  </trn:splits>', '</gnc:transaction>');
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the whole book as GnuCash XML
+   */
+  toXml() {
+    const commodities = [...this.commodities.values()];
+    const accounts = this.orderedAccounts();
+
+    return [
+      '<?xml version="1.0" encoding="utf-8" ?>',
+      '<gnc-v2',
+      NAMESPACES.map(ns => `     xmlns:${ns}="http://www.gnucash.org/XML/${ns}"`).join('\n') + '>',
+      '<gnc:count-data cd:type="book">1</gnc:count-data>',
+      `<gnc:book version="${BOOK_VERSION}">`,
+      `<book:id type="guid">${this.bookGuid}</book:id>`,
+      `<gnc:count-data cd:type="commodity">${commodities.length}</gnc:count-data>`,
+      `<gnc:count-data cd:type="account">${accounts.length}</gnc:count-data>`,
+      `<gnc:count-data cd:type="transaction">${this.transactions.length}</gnc:count-data>`,
+      ...this.preservedCounts,
+      ...commodities.map(c => this.serializeCommodity(c)),
+      ...accounts.map(a => this.serializeAccount(a)),
+      ...this.transactions.map(t => this.serializeTransaction(t)),
+      ...this.preserved,
+      '</gnc:book>',
+      '</gnc-v2>',
+      '',
+      '<!-- Local variables: -->',
+      '<!-- mode: xml        -->',
+      '<!-- End:             -->',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Write the book atomically (temp file + rename)
+   */
+  async save() {
+    const xml = Buffer.from(this.toXml(), 'utf-8');
+    const data = this.compress ? await gzip(xml) : xml;
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, this.filePath);
+    this.mtimeMs = await this.readMtime();
+    this.changes.observe(this.getAccounts(), null, true);
+  }
+}
+
+export default GnuCashXmlBackend;
@@ -0,0 +1,218 @@
+import { PrismaClient } from '@prisma/client';
+import fs from 'fs/promises';
+import path from 'path';
+import { GNUCASH_SYSTEM, QUICKBOOKS_SYSTEM } from './GnuCashSyncService.js';
+import { getQuickBooksInstance } from '../QBInstance.js';
+
+const prisma = new PrismaClient();
+
+// Dependencies each gRPC service needs to serve its requests
+const VERSIONED_SERVICE_DEPENDENCIES = {
+  'qb2gc.gnucash.v1.GnuCashSync': ['database', 'mappingConfig', 'gnucashBook'],
+  'qb2gc.integration.v1.UniversalIntegration': ['database', 'schemaRegistry'],
+  'qb2gc.accounting.v1.Accounting': ['database', 'quickBooks'],
+  'qb2gc.accounting.v1.TaxationService': ['database']
+};
+
+// Also reported under the deprecated hello names the services still answer to
+export const SERVICE_DEPENDENCIES = {
+  ...VERSIONED_SERVICE_DEPENDENCIES,
+  ...Object.fromEntries(Object.entries(VERSIONED_SERVICE_DEPENDENCIES)
+    .map(([service, names]) => [`hello.${service.split('.').pop()}`, names]))
+};
+
+// SystemIntegration rows whose healthStatus follows the checks
+const SYSTEM_DEPENDENCIES = {
+  [QUICKBOOKS_SYSTEM]: ['quickBooks'],
+  [GNUCASH_SYSTEM]: ['mappingConfig', 'gnucashBook']
+};
+
+// A check that takes longer counts as failed
+const CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Message of a node-quickbooks callback error, which is usually the API's
+ * Fault body rather than an Error
+ */
+const quickBooksErrorMessage = (error) =>
+  error?.Fault?.Error?.[0]?.Message
+  || error?.message
+  || JSON.stringify(error);
+
+/**
+ * Health Check Service - Serving status of the gRPC services for the
+ * standard grpc.health.v1.Health service
+ *
+ * Every interval the dependencies are checked: Postgres, the loaded GnuCash
+ * mapping config and universal schema registry, the QuickBooks token (by
+ * reading the company info) and a writable GnuCash book. A service is
+ * SERVING while all of its dependencies pass (see SERVICE_DEPENDENCIES),
+ * the server as a whole ("") while all checks pass. Probes get the result
+ * of the last run, so they never wait on QuickBooks.
+ *
+ * When a system's checks start or stop failing, its SystemIntegration
+ * healthStatus is set to down or healthy.
+ */
+export class HealthCheckService {
+  constructor({
+    health,
+    gnucashService,
+    universalService,
+    intervalMs = Number(process.env.HEALTH_CHECK_INTERVAL_MS) || 30000
+  }) {
+    this.health = health;
+    this.gnucashService = gnucashService;
+    this.universalService = universalService;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.refreshing = null;
+    this.results = {};
+  }
+
+  async checkDatabase() {
+    await prisma.$queryRaw`SELECT 1`;
+  }
+
+  async checkMappingConfig() {
+    if (!this.gnucashService.mappingConfig) {
+      throw new Error('GnuCash mapping config is not loaded');
+    }
+  }
+
+  async checkSchemaRegistry() {
+    if (!this.universalService.schemaRegistry) {
+      throw new Error('Universal schema registry is not loaded');
+    }
+  }
+
+  /**
+   * The token is valid if QuickBooks answers a company info request with it
+   */
+  async checkQuickBooks() {
+    const qbo = await getQuickBooksInstance();
+    await new Promise((resolve, reject) => {
+      qbo.getCompanyInfo(qbo.realmId, (error, companyInfo) =>
+        (error ? reject(new Error(`QuickBooks rejected the token: ${quickBooksErrorMessage(error)}`)) : resolve(companyInfo)));
+    });
+  }
+
+  /**
+   * The book file must be writable, or if it does not exist yet, the
+   * closest existing directory above it (the book's directories are
+   * created on the first write)
+   */
+  async checkGnuCashBook() {
+    await this.checkMappingConfig();
+    let target = this.gnucashService.getBookFilePath();
+    for (;;) {
+      try {
+        await fs.access(target, fs.constants.W_OK);
+        return;
+      } catch (error) {
+        if (error.code !== 'ENOENT' || path.dirname(target) === target) {
+          throw new Error(`GnuCash book path ${target} is not writable`);
+        }
+        target = path.dirname(target);
+      }
+    }
+  }
+
+  /**
+   * Run every check. Returns { [check]: { healthy, error } }.
+   */
+  async runChecks() {
+    const checks = {
+      database: () => this.checkDatabase(),
+      mappingConfig: () => this.checkMappingConfig(),
+      schemaRegistry: () => this.checkSchemaRegistry(),
+      quickBooks: () => this.checkQuickBooks(),
+      gnucashBook: () => this.checkGnuCashBook()
+    };
+
+    const outcomes = await Promise.allSettled(Object.values(checks).map(check => {
+      let timeout;
+      return Promise.race([
+        check(),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+        })
+      ]).finally(() => clearTimeout(timeout));
+    }));
+
+    return Object.fromEntries(Object.keys(checks).map((name, i) => [name, {
+      healthy: outcomes[i].status === 'fulfilled',
+      error: outcomes[i].status === 'rejected' ? outcomes[i].reason.message : null
+    }]));
+  }
+
+  /**
+   * Run the checks, then update the serving statuses and the health of
+   * systems whose checks changed
+   */
+  async refresh() {
+    const previous = this.results;
+    this.results = await this.runChecks();
+
+    Object.entries(this.results).forEach(([name, { healthy, error }]) => {
+      if (previous[name]?.healthy === healthy) return;
+      if (healthy) {
+        console.log(`✅ Health check ${name} passes`);
+      } else {
+        console.warn(`⚠️ Health check ${name} fails: ${error}`);
+      }
+    });
+
+    const passes = (results, names) => names.every(name => results[name]?.healthy);
+    Object.entries(SERVICE_DEPENDENCIES).forEach(([service, names]) => {
+      this.health.setStatus(service, passes(this.results, names) ? 'SERVING' : 'NOT_SERVING');
+    });
+    this.health.setStatus('', passes(this.results, Object.keys(this.results)) ? 'SERVING' : 'NOT_SERVING');
+
+    // Written on the first run and on changes only, so that auto-sync runs
+    // can mark a system degraded in between
+    for (const [systemName, names] of Object.entries(SYSTEM_DEPENDENCIES)) {
+      const healthy = passes(this.results, names);
+      if (names.every(name => previous[name]) && passes(previous, names) === healthy) {
+        continue;
+      }
+      await prisma.systemIntegration.updateMany({
+        where: { systemName },
+        data: { healthStatus: healthy ? 'healthy' : 'down' }
+      }).catch(error => console.error(`❌ Failed to record the health of ${systemName}:`, error.message));
+    }
+
+    return this.results;
+  }
+
+  /**
+   * Mark every service NOT_SERVING until the first checks finish, then
+   * check every intervalMs
+   */
+  start() {
+    if (this.timer) return;
+
+    Object.keys(SERVICE_DEPENDENCIES).forEach(service => this.health.setStatus(service, 'NOT_SERVING'));
+    this.health.setStatus('', 'NOT_SERVING');
+
+    const refresh = () => {
+      if (this.refreshing) return;
+      this.refreshing = this.refresh()
+        .catch(error => console.error('❌ Health check error:', error.message))
+        .finally(() => { this.refreshing = null; });
+    };
+    this.timer = setInterval(refresh, this.intervalMs);
+    refresh();
+    console.log(`✅ Health checks started (every ${Math.round(this.intervalMs / 1000)}s)`);
+  }
+
+  /**
+   * Stop checking; a run in progress is allowed to finish
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.refreshing;
+  }
+}
+
+export default HealthCheckService;
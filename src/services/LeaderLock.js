@@ -0,0 +1,38 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * Leader Lock - Named leases in Postgres (the SchedulerLock table)
+ *
+ * When several server instances run the same schedule, the one holding the
+ * schedule's lease runs it. A lease expires at lockedUntil, so a crashed
+ * holder only blocks the schedule until then.
+ */
+
+/**
+ * Take or renew the lease `name` for `holder`. Returns true if `holder` now
+ * holds it, false if another holder's lease is still live.
+ */
+export const acquireLeaderLock = async (name, holder, ttlMs) => {
+  // lockedUntil holds UTC without a time zone, so compare it with our clock
+  // rather than NOW(), which depends on the session time zone
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + ttlMs);
+  const rows = await prisma.$queryRaw`
+    INSERT INTO "SchedulerLock" ("name", "holder", "lockedUntil", "updatedAt")
+    VALUES (${name}, ${holder}, ${lockedUntil}, ${now})
+    ON CONFLICT ("name") DO UPDATE
+    SET "holder" = EXCLUDED."holder", "lockedUntil" = EXCLUDED."lockedUntil", "updatedAt" = ${now}
+    WHERE "SchedulerLock"."lockedUntil" < ${now} OR "SchedulerLock"."holder" = EXCLUDED."holder"
+    RETURNING "holder"`;
+
+  return rows.length > 0;
+};
+
+/**
+ * Give up the lease `name` if `holder` still holds it
+ */
+export const releaseLeaderLock = async (name, holder) => {
+  await prisma.schedulerLock.deleteMany({ where: { name, holder } });
+};
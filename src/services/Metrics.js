@@ -0,0 +1,114 @@
+import { PrismaClient } from '@prisma/client';
+import client from 'prom-client';
+
+const prisma = new PrismaClient();
+
+/**
+ * Metrics - Prometheus metrics of the gRPC server, syncs and QuickBooks calls
+ *
+ * Everything is registered on one registry, served as text by the /metrics
+ * endpoint. Label values are kept to bounded sets (method, entity type,
+ * status), never record ids.
+ */
+
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+export const grpcStarted = new client.Counter({
+  name: 'grpc_server_started_total',
+  help: 'gRPC calls started on the server',
+  labelNames: ['grpc_service', 'grpc_method', 'grpc_type'],
+  registers: [registry]
+});
+
+export const grpcHandled = new client.Counter({
+  name: 'grpc_server_handled_total',
+  help: 'gRPC calls completed on the server, by status code',
+  labelNames: ['grpc_service', 'grpc_method', 'grpc_type', 'grpc_code'],
+  registers: [registry]
+});
+
+export const grpcHandlingSeconds = new client.Histogram({
+  name: 'grpc_server_handling_seconds',
+  help: 'Time from the start of a gRPC call until its status is sent',
+  labelNames: ['grpc_service', 'grpc_method', 'grpc_type'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry]
+});
+
+export const syncOperations = new client.Counter({
+  name: 'sync_operations_total',
+  help: 'Sync attempts by entity type, target system and result (success, failure, conflict or unchanged)',
+  labelNames: ['entity_type', 'target_system', 'result'],
+  registers: [registry]
+});
+
+export const quickBooksCalls = new client.Counter({
+  name: 'quickbooks_api_calls_total',
+  help: 'QuickBooks Online API calls, by node-quickbooks method',
+  labelNames: ['operation'],
+  registers: [registry]
+});
+
+export const quickBooksErrors = new client.Counter({
+  name: 'quickbooks_api_errors_total',
+  help: 'QuickBooks Online API calls that returned an error, by node-quickbooks method',
+  labelNames: ['operation'],
+  registers: [registry]
+});
+
+// Read from the SyncJob table on every scrape
+new client.Gauge({
+  name: 'sync_queue_depth',
+  help: 'Sync jobs waiting for a worker (QUEUED) or being worked on (RUNNING), by job type',
+  labelNames: ['job_type', 'status'],
+  registers: [registry],
+  async collect() {
+    const counts = await prisma.syncJob.groupBy({
+      by: ['type', 'status'],
+      where: { status: { in: ['QUEUED', 'RUNNING'] } },
+      _count: true
+    });
+
+    this.reset();
+    counts.forEach(c => this.set({ job_type: c.type, status: c.status }, c._count));
+  }
+});
+
+/**
+ * Count a sync attempt
+ */
+export const recordSync = (entityType, targetSystem, result) => {
+  syncOperations.inc({ entity_type: entityType, target_system: targetSystem, result });
+};
+
+// node-quickbooks methods that call the QuickBooks API
+const QUICKBOOKS_API_METHOD = /^(create|get|update|delete|void|find|report|batch|changeDataCapture|upload|send)/;
+
+/**
+ * Wrap a node-quickbooks instance so that its API calls are counted, and
+ * those whose callback receives an error counted as errors
+ */
+export const instrumentQuickBooks = (qbo) => new Proxy(qbo, {
+  get(target, prop, receiver) {
+    const value = Reflect.get(target, prop, receiver);
+    if (typeof value !== 'function' || typeof prop !== 'string' || !QUICKBOOKS_API_METHOD.test(prop)) {
+      return value;
+    }
+
+    return (...args) => {
+      quickBooksCalls.inc({ operation: prop });
+      const callback = args[args.length - 1];
+      if (typeof callback === 'function') {
+        args[args.length - 1] = (error, ...results) => {
+          if (error) {
+            quickBooksErrors.inc({ operation: prop });
+          }
+          return callback(error, ...results);
+        };
+      }
+      return value.apply(target, args);
+    };
+  }
+});
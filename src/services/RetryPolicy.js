@@ -0,0 +1,38 @@
+/**
+ * Retry Policy - Exponential backoff with jitter for failed syncs
+ *
+ * Used by the sync job queue. A failed sync job is retried up to
+ * `retryAttempts` times; the wait before retry n is
+ * baseDelayMs * 2^(n-1), capped at maxDelayMs, with "equal jitter" (a random
+ * point in the upper half of that window) so failures that happened together
+ * do not retry together.
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+  retryAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000
+};
+
+/**
+ * Fill unset policy values from the defaults
+ */
+export const resolveRetryPolicy = (policy = {}) => ({
+  ...DEFAULT_RETRY_POLICY,
+  ...Object.fromEntries(Object.entries(policy).filter(([, value]) => value !== undefined && value !== null))
+});
+
+/**
+ * Delay in milliseconds before retry number `retryNumber` (1-based)
+ */
+export const getRetryDelay = (retryNumber, policy = {}) => {
+  const { baseDelayMs, maxDelayMs } = resolveRetryPolicy(policy);
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (retryNumber - 1));
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+/**
+ * Errors flagged `retryable: false` (such as validation errors) fail the
+ * same way every time, so they are not retried
+ */
+export const isRetryableError = (error) => error?.retryable !== false;
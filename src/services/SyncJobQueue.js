@@ -0,0 +1,521 @@
+import { PrismaClient } from '@prisma/client';
+import os from 'os';
+import { getRetryDelay, isRetryableError } from './RetryPolicy.js';
+import { callerLabel, parseCallerLabel, runAsCaller } from './CallerContext.js';
+
+const prisma = new PrismaClient();
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Apply a JSON merge patch (RFC 7386): objects merge recursively, null
+ * removes a key, anything else replaces
+ */
+const mergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) return patch;
+
+  const merged = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = mergePatch(merged[key], value);
+    }
+  });
+  return merged;
+};
+
+/**
+ * Thrown when a job being waited on has FAILED. `rejected` is true when it
+ * stopped before using all its attempts, i.e. its error was not retryable
+ * (such as a validation error).
+ */
+export class SyncJobError extends Error {
+  constructor(job) {
+    super(job.lastError || `Job ${job.id} failed`);
+    this.name = 'SyncJobError';
+    this.jobId = job.id;
+    this.attempts = job.attempts;
+    this.rejected = job.attempts < job.maxAttempts;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Sync Job Queue - Durable, Postgres-backed queue for sync work
+ *
+ * Jobs are SyncJob rows. A worker claims a job by locking it for a
+ * visibility timeout (`FOR UPDATE SKIP LOCKED`, so several workers never
+ * claim the same job) and keeps extending the lock while the job runs; if
+ * the worker dies or hangs, the lock expires and another worker picks the
+ * job up again, as a new attempt. Failed jobs are re-queued with exponential
+ * backoff until maxAttempts is used up, then marked FAILED and copied to the
+ * dead-letter store (DeadLetterJob), where they can be inspected, edited and
+ * replayed.
+ *
+ * Handlers are registered per job type:
+ *
+ *   syncJobQueue.registerHandler('gnucash.sync', {
+ *     run: async (payload, job) => result,
+ *     retryPolicy: async (payload) => ({ retryAttempts, baseDelayMs, maxDelayMs }),
+ *     onExhausted: async (payload, error, job) => {},
+ *     configVersion: () => ({ version, hash })   // recorded on dead letters
+ *   });
+ */
+export class SyncJobQueue {
+  constructor({
+    workerId = `${os.hostname()}:${process.pid}`,
+    pollIntervalMs = Number(process.env.SYNC_JOB_POLL_INTERVAL_MS) || 1000,
+    visibilityTimeoutMs = Number(process.env.SYNC_JOB_VISIBILITY_TIMEOUT_MS) || 5 * 60 * 1000
+  } = {}) {
+    this.workerId = workerId;
+    this.pollIntervalMs = pollIntervalMs;
+    this.visibilityTimeoutMs = visibilityTimeoutMs;
+    this.handlers = new Map();
+    this.running = false;
+    this.pollTimer = null;
+    this.draining = null;
+  }
+
+  /**
+   * Register the handler for a job type, replacing any earlier one
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job, run later as the current caller. maxAttempts counts the
+   * first run, so it is retries + 1.
+   */
+  async enqueue(type, payload, options = {}) {
+    const job = await this.createJob(prisma, type, payload, options);
+
+    // Let a local worker pick it up without waiting for the next poll
+    this.wake();
+    return job;
+  }
+
+  /**
+   * Insert a queued job through `client`, the Prisma client or a transaction
+   */
+  async createJob(client, type, payload, { maxAttempts = 1, runAt = new Date() } = {}) {
+    return client.syncJob.create({
+      data: {
+        type,
+        payload: JSON.stringify(payload),
+        status: 'QUEUED',
+        maxAttempts,
+        runAt,
+        triggeredBy: callerLabel()
+      }
+    });
+  }
+
+  async getJob(jobId) {
+    return prisma.syncJob.findUnique({ where: { id: jobId } });
+  }
+
+  /**
+   * Wait until a job has finished its first attempt: it succeeded, failed
+   * for good, or failed and is waiting for a retry. Returns the job, or the
+   * job as it is when timeoutMs runs out.
+   */
+  async waitForJob(jobId, { timeoutMs = 30000, intervalMs = 200 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+      const job = await this.getJob(jobId);
+      const waitingForRetry = job?.status === 'QUEUED' && job.attempts > 0;
+      if (!job || ['SUCCEEDED', 'FAILED'].includes(job.status) || waitingForRetry || Date.now() >= deadline) {
+        return job;
+      }
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+
+  /**
+   * Wait for a job (see waitForJob) and return { job, result }: the handler's
+   * result once it has SUCCEEDED, or null while it is still queued, running
+   * or waiting for a retry. Throws SyncJobError if the job FAILED.
+   */
+  async awaitResult(jobId, options = {}) {
+    const job = await this.waitForJob(jobId, options);
+    if (!job) {
+      throw new Error(`Sync job not found: ${jobId}`);
+    }
+    if (job.status === 'FAILED') {
+      throw new SyncJobError(job);
+    }
+    return { job, result: job.status === 'SUCCEEDED' ? JSON.parse(job.result) : null };
+  }
+
+  /**
+   * Claim the next due job of a type this worker handles: a queued job whose
+   * runAt has passed, or a running job whose lock has expired and that has
+   * attempts left
+   */
+  async claimNext() {
+    const types = [...this.handlers.keys()];
+    if (types.length === 0) return null;
+
+    // The DateTime columns hold UTC without a time zone, so compare them with
+    // our clock rather than NOW(), which depends on the session time zone
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + this.visibilityTimeoutMs);
+    const [job] = await prisma.$queryRaw`
+      UPDATE "SyncJob"
+      SET "status" = 'RUNNING', "lockedBy" = ${this.workerId}, "lockedUntil" = ${lockedUntil},
+          "attempts" = "attempts" + 1, "startedAt" = ${now}, "updatedAt" = ${now}
+      WHERE "id" = (
+        SELECT "id" FROM "SyncJob"
+        WHERE "type" = ANY(${types})
+          AND (("status" = 'QUEUED' AND "runAt" <= ${now})
+            OR ("status" = 'RUNNING' AND "lockedUntil" < ${now} AND "attempts" < "maxAttempts"))
+        ORDER BY "runAt"
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *`;
+
+    return job || null;
+  }
+
+  /**
+   * Claim a running job whose lock expired during its last attempt (its
+   * worker died or hung), so it can be failed for good. The job keeps its
+   * attempts; expiredWorkerId is the worker that held it.
+   */
+  async claimExhausted() {
+    const types = [...this.handlers.keys()];
+    if (types.length === 0) return null;
+
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + this.visibilityTimeoutMs);
+    const [job] = await prisma.$queryRaw`
+      UPDATE "SyncJob" AS job
+      SET "lockedBy" = ${this.workerId}, "lockedUntil" = ${lockedUntil}, "updatedAt" = ${now}
+      FROM (
+        SELECT "id", "lockedBy" FROM "SyncJob"
+        WHERE "type" = ANY(${types})
+          AND "status" = 'RUNNING' AND "lockedUntil" < ${now} AND "attempts" >= "maxAttempts"
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      ) AS expired
+      WHERE job."id" = expired."id"
+      RETURNING job.*, expired."lockedBy" AS "expiredWorkerId"`;
+
+    return job || null;
+  }
+
+  /**
+   * Keep extending the lock of a job while its handler runs, so that a slow
+   * sync is not claimed and run a second time. Returns a function that stops
+   * the renewal.
+   */
+  keepLocked(job) {
+    const timer = setInterval(() => {
+      prisma.syncJob.updateMany({
+        where: { id: job.id, lockedBy: this.workerId, attempts: job.attempts },
+        data: { lockedUntil: new Date(Date.now() + this.visibilityTimeoutMs) }
+      }).then(({ count }) => {
+        if (count === 0) {
+          console.warn(`⚠️ Lost the lock on job ${job.id}; its result will be discarded`);
+          clearInterval(timer);
+        }
+      }).catch(error => console.error(`❌ Failed to extend the lock on job ${job.id}:`, error.message));
+    }, this.visibilityTimeoutMs / 3);
+
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Update a job this worker still holds. Returns false if the lock expired
+   * and another worker has claimed the job since.
+   */
+  async finishJob(job, data) {
+    const { count } = await prisma.syncJob.updateMany({
+      where: { id: job.id, lockedBy: this.workerId, attempts: job.attempts },
+      data: { ...data, lockedBy: null, lockedUntil: null }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    const payload = JSON.parse(job.payload);
+    const stopLocking = this.keepLocked(job);
+
+    try {
+      const result = await handler.run(payload, job);
+      stopLocking();
+      await this.finishJob(job, {
+        status: 'SUCCEEDED',
+        result: JSON.stringify(result ?? null),
+        lastError: null,
+        completedAt: new Date()
+      });
+    } catch (error) {
+      stopLocking();
+      await this.failJob(job, handler, payload, error);
+    }
+  }
+
+  /**
+   * Record a failed attempt of a job this worker holds: re-queue it with
+   * backoff, or fail it for good and dead-letter it once it is out of
+   * attempts (or the error is not retryable)
+   */
+  async failJob(job, handler, payload, error, workerId = this.workerId) {
+    const errorHistory = [
+      ...JSON.parse(job.errorHistory || '[]'),
+      { attempt: job.attempts, error: error.message, failedAt: new Date().toISOString(), workerId }
+    ];
+
+    if (isRetryableError(error) && job.attempts < job.maxAttempts) {
+      const policy = handler.retryPolicy ? await handler.retryPolicy(payload) : {};
+      const delay = getRetryDelay(job.attempts, policy);
+      console.log(`🔁 Job ${job.id} (${job.type}) failed, retrying in ${Math.round(delay)}ms (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+
+      await this.finishJob(job, {
+        status: 'QUEUED',
+        lastError: error.message,
+        errorHistory: JSON.stringify(errorHistory),
+        runAt: new Date(Date.now() + delay)
+      });
+      return;
+    }
+
+    const held = await this.finishJob(job, {
+      status: 'FAILED',
+      lastError: error.message,
+      errorHistory: JSON.stringify(errorHistory),
+      completedAt: new Date()
+    });
+    if (held) {
+      await this.deadLetter(job, error, errorHistory, handler).catch(deadLetterError =>
+        console.error(`❌ Failed to dead-letter job ${job.id}:`, deadLetterError.message));
+      if (handler.onExhausted) {
+        await handler.onExhausted(payload, error, job).catch(exhaustedError =>
+          console.error(`❌ Failed to record final failure of job ${job.id}:`, exhaustedError.message));
+      }
+    }
+  }
+
+  /**
+   * Fail a job claimed by claimExhausted: its last attempt never finished
+   */
+  async failExhaustedJob(job) {
+    const error = new Error(`Attempt ${job.attempts} did not finish: worker ${job.expiredWorkerId} stopped or hung while running it`);
+    console.warn(`⚠️ Job ${job.id} (${job.type}) is out of attempts:`, error.message);
+    await this.failJob(job, this.handlers.get(job.type), JSON.parse(job.payload), error, job.expiredWorkerId);
+  }
+
+  /**
+   * Copy a job that failed for good to the dead-letter store
+   */
+  async deadLetter(job, error, errorHistory, handler) {
+    const config = handler.configVersion?.() || {};
+
+    return prisma.deadLetterJob.create({
+      data: {
+        jobId: job.id,
+        jobType: job.type,
+        payload: job.payload,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        lastError: error.message,
+        errorHistory: JSON.stringify(errorHistory),
+        configVersion: config.version || null,
+        configHash: config.hash || null,
+        status: 'PENDING'
+      }
+    });
+  }
+
+  /**
+   * Dead letters, newest first
+   */
+  async listDeadLetters({ jobType = null, status = null, limit = 100 } = {}) {
+    return prisma.deadLetterJob.findMany({
+      where: {
+        ...(jobType && { jobType }),
+        ...(status && { status })
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+
+  async getDeadLetter(deadLetterId) {
+    return prisma.deadLetterJob.findUnique({ where: { id: deadLetterId } });
+  }
+
+  /**
+   * Dead letters for a bulk operation: the given ids, or every PENDING dead
+   * letter of jobType
+   */
+  async selectDeadLetters({ ids = [], jobType = null } = {}) {
+    if (ids.length > 0) {
+      return ids;
+    }
+    if (!jobType) {
+      throw new Error('Select dead letters by id or by job type');
+    }
+
+    const deadLetters = await prisma.deadLetterJob.findMany({
+      where: { jobType, status: 'PENDING' },
+      orderBy: { createdAt: 'asc' }
+    });
+    return deadLetters.map(deadLetter => deadLetter.id);
+  }
+
+  async getPendingDeadLetter(deadLetterId) {
+    const deadLetter = await this.getDeadLetter(deadLetterId);
+    if (!deadLetter) {
+      throw new Error(`Dead letter not found: ${deadLetterId}`);
+    }
+    if (deadLetter.status !== 'PENDING') {
+      throw new Error(`Dead letter ${deadLetterId} was already replayed as job ${deadLetter.replayJobId}`);
+    }
+    return deadLetter;
+  }
+
+  /**
+   * Edit a pending dead letter's payload: replace it with `payload`, or
+   * apply the JSON merge patch `payloadPatch`
+   */
+  async updateDeadLetter(deadLetterId, { payload, payloadPatch } = {}) {
+    const deadLetter = await this.getPendingDeadLetter(deadLetterId);
+    const updated = payload ?? mergePatch(JSON.parse(deadLetter.payload), payloadPatch ?? {});
+    if (!isPlainObject(updated)) {
+      throw new Error('Dead letter payload must be a JSON object');
+    }
+
+    return prisma.deadLetterJob.update({
+      where: { id: deadLetterId },
+      data: { payload: JSON.stringify(updated) }
+    });
+  }
+
+  /**
+   * Queue a pending dead letter again as a new job, after applying the
+   * optional payloadPatch. Returns the dead letter, now REPLAYED.
+   */
+  async replayDeadLetter(deadLetterId, { payloadPatch } = {}) {
+    const deadLetter = await this.getPendingDeadLetter(deadLetterId);
+    const payload = mergePatch(JSON.parse(deadLetter.payload), payloadPatch ?? {});
+
+    // Claim the dead letter and queue its job together: concurrent replays
+    // queue it only once, and if queueing fails it stays pending
+    const replayed = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.deadLetterJob.updateMany({
+        where: { id: deadLetterId, status: 'PENDING' },
+        data: { status: 'REPLAYED', payload: JSON.stringify(payload), replayedAt: new Date() }
+      });
+      if (count === 0) {
+        throw new Error(`Dead letter ${deadLetterId} is already being replayed`);
+      }
+
+      const job = await this.createJob(tx, deadLetter.jobType, payload, { maxAttempts: deadLetter.maxAttempts });
+      return tx.deadLetterJob.update({
+        where: { id: deadLetterId },
+        data: { replayJobId: job.id }
+      });
+    });
+
+    this.wake();
+    return replayed;
+  }
+
+  /**
+   * Run `operation(id)` on each selected dead letter, collecting
+   * { id, deadLetter } or { id, error } per dead letter
+   */
+  async forEachDeadLetter(selection, operation) {
+    const ids = await this.selectDeadLetters(selection);
+    const results = [];
+
+    for (const id of ids) {
+      try {
+        results.push({ id, deadLetter: await operation(id) });
+      } catch (error) {
+        results.push({ id, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  async updateDeadLetters(selection, payloadPatch) {
+    return this.forEachDeadLetter(selection, id => this.updateDeadLetter(id, { payloadPatch }));
+  }
+
+  async replayDeadLetters(selection, { payloadPatch } = {}) {
+    return this.forEachDeadLetter(selection, id => this.replayDeadLetter(id, { payloadPatch }));
+  }
+
+  /**
+   * Run due jobs until none are left
+   */
+  async drain() {
+    if (this.draining) return this.draining;
+
+    this.draining = (async () => {
+      try {
+        let job;
+        while (this.running && (job = await this.claimExhausted())) {
+          await runAsCaller(parseCallerLabel(job.triggeredBy), () => this.failExhaustedJob(job));
+        }
+        while (this.running && (job = await this.claimNext())) {
+          // As the caller that queued it, not whichever call woke the worker
+          await runAsCaller(parseCallerLabel(job.triggeredBy), () => this.runJob(job));
+        }
+      } catch (error) {
+        console.error('❌ Sync job worker error:', error.message);
+      } finally {
+        this.draining = null;
+      }
+    })();
+    return this.draining;
+  }
+
+  wake() {
+    if (this.running) {
+      this.drain();
+    }
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const poll = async () => {
+      await this.drain();
+      if (this.running) {
+        this.pollTimer = setTimeout(poll, this.pollIntervalMs);
+      }
+    };
+    poll();
+    console.log(`✅ Sync job worker ${this.workerId} started`);
+  }
+
+  /**
+   * Stop polling; the job in progress (if any) is allowed to finish
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+    await this.draining;
+  }
+}
+
+// Shared queue: every service in the process enqueues to and works from it
+export const syncJobQueue = new SyncJobQueue();
+
+export default syncJobQueue;
@@ -0,0 +1,257 @@
+import { PrismaClient } from '@prisma/client';
+import { GNUCASH_SYSTEM, QUICKBOOKS_SYSTEM, ValidationError } from './GnuCashSyncService.js';
+
+const prisma = new PrismaClient();
+
+// Sync logs that can be queried: GnuCashSyncLog and UniversalSyncLog
+export const SYNC_LOGS = ['gnucash', 'universal'];
+
+export const SYNC_STATUSES = ['PENDING', 'IN_PROGRESS', 'SYNCED', 'FAILED', 'CONFLICT', 'FAILED_PERMANENTLY'];
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Systems on either side of a GnuCash sync, by sync direction
+const GNUCASH_DIRECTIONS = {
+  qb_to_gc: { sourceSystem: QUICKBOOKS_SYSTEM, targetSystem: GNUCASH_SYSTEM },
+  gc_to_qb: { sourceSystem: GNUCASH_SYSTEM, targetSystem: QUICKBOOKS_SYSTEM }
+};
+
+/**
+ * Sync Log Service - Query the GnuCash and universal sync history
+ *
+ * Both logs are read as one history, newest first (by syncStartedAt, then
+ * id). Pages are linked by an opaque cursor naming the last log of the
+ * previous page.
+ */
+export class SyncLogService {
+  encodeCursor(entry) {
+    return Buffer.from(JSON.stringify({ startedAt: entry.startedAt, id: entry.id })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { startedAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+      const date = new Date(startedAt);
+      if (typeof id !== 'string' || Number.isNaN(date.getTime())) {
+        throw new Error('Malformed cursor');
+      }
+      return { startedAt: date, id };
+    } catch (error) {
+      throw new ValidationError([{ field: 'cursor', rule: 'format', message: 'cursor is not a cursor returned by QuerySyncLogs' }]);
+    }
+  }
+
+  /**
+   * Check the query filters. Returns a list of { field, rule, message }
+   * errors.
+   */
+  validateQuery({ log, status, from, to, limit }) {
+    const errors = [];
+
+    if (log && !SYNC_LOGS.includes(log)) {
+      errors.push({ field: 'log', rule: 'enum', message: `log must be one of ${SYNC_LOGS.join(', ')}` });
+    }
+    if (status && !SYNC_STATUSES.includes(status)) {
+      errors.push({ field: 'status', rule: 'enum', message: `status must be one of ${SYNC_STATUSES.join(', ')}` });
+    }
+    [['from', from], ['to', to]].forEach(([field, value]) => {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        errors.push({ field, rule: 'format', message: `${field} must be an ISO 8601 date` });
+      }
+    });
+    if (limit !== null && limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE)) {
+      errors.push({ field: 'limit', rule: 'range', message: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+    }
+    return errors;
+  }
+
+  /**
+   * Filters shared by both logs: status, direction, start date range and
+   * the cursor
+   */
+  commonWhere({ status, direction, from, to }, after) {
+    return {
+      ...(status && { syncStatus: status }),
+      ...(direction && { syncDirection: direction }),
+      ...((from || to) && {
+        syncStartedAt: {
+          ...(from && { gte: new Date(from) }),
+          ...(to && { lt: new Date(to) })
+        }
+      }),
+      ...(after && {
+        OR: [
+          { syncStartedAt: { lt: after.startedAt } },
+          { syncStartedAt: after.startedAt, id: { lt: after.id } }
+        ]
+      })
+    };
+  }
+
+  /**
+   * GnuCashSyncLog filter, or null if no GnuCash log can match (e.g. the
+   * source system is neither QuickBooks nor GnuCash)
+   */
+  gnucashWhere(query, after) {
+    const directions = Object.keys(GNUCASH_DIRECTIONS).filter(direction =>
+      (!query.direction || direction === query.direction)
+      && (!query.sourceSystem || GNUCASH_DIRECTIONS[direction].sourceSystem === query.sourceSystem)
+      && (!query.targetSystem || GNUCASH_DIRECTIONS[direction].targetSystem === query.targetSystem));
+    if (directions.length === 0) {
+      return null;
+    }
+
+    return {
+      AND: [
+        this.commonWhere(query, after),
+        {
+          ...(query.entityType && { entityType: query.entityType }),
+          ...(query.entityId && { entityId: query.entityId }),
+          ...((query.sourceSystem || query.targetSystem) && { syncDirection: { in: directions } })
+        }
+      ]
+    };
+  }
+
+  /**
+   * UniversalSyncLog filter. The source entity of a log is its universal
+   * entity's, or for a log whose sync never created one, the one recorded in
+   * its metadata.
+   */
+  universalWhere(query, after) {
+    const { entityType, entityId } = query;
+    const entityFilter = (entityType || entityId) && {
+      OR: [
+        {
+          universalEntity: {
+            ...(entityType && { sourceEntityType: entityType }),
+            ...(entityId && { sourceEntityId: entityId })
+          }
+        },
+        {
+          universalEntityId: null,
+          AND: [
+            ...(entityType ? [{ metadata: { contains: JSON.stringify({ entityType }).slice(1, -1) } }] : []),
+            // sourceEntityId was recorded as sent: a string or a number
+            ...(entityId ? [{
+              OR: [
+                { metadata: { contains: `"sourceEntityId":${JSON.stringify(entityId)}` } },
+                { metadata: { contains: `"sourceEntityId":${entityId}}` } }
+              ]
+            }] : [])
+          ]
+        }
+      ]
+    };
+
+    return {
+      AND: [
+        this.commonWhere(query, after),
+        {
+          ...(query.sourceSystem && { sourceSystem: query.sourceSystem }),
+          ...(query.targetSystem && { targetSystem: query.targetSystem })
+        },
+        ...(entityFilter ? [entityFilter] : [])
+      ]
+    };
+  }
+
+  toGnuCashEntry(log) {
+    const systems = GNUCASH_DIRECTIONS[log.syncDirection] || GNUCASH_DIRECTIONS.qb_to_gc;
+    return {
+      log: 'gnucash',
+      id: log.id,
+      entityType: log.entityType,
+      entityId: log.entityId,
+      universalEntityId: null,
+      operation: 'sync',
+      ...systems,
+      status: log.syncStatus,
+      direction: log.syncDirection,
+      errorMessage: log.errorMessage,
+      retryCount: log.retryCount,
+      startedAt: log.syncStartedAt,
+      completedAt: log.syncCompletedAt,
+      gcFilePath: log.gcFilePath,
+      metadata: log.metadata,
+      triggeredBy: log.triggeredBy
+    };
+  }
+
+  toUniversalEntry(log) {
+    let recorded = {};
+    try {
+      recorded = log.metadata ? JSON.parse(log.metadata) : {};
+    } catch (error) {
+      // Not JSON; only the entity fields are lost
+    }
+
+    return {
+      log: 'universal',
+      id: log.id,
+      entityType: log.universalEntity?.sourceEntityType || recorded.entityType || null,
+      entityId: log.universalEntity?.sourceEntityId
+        || (recorded.sourceEntityId !== undefined ? String(recorded.sourceEntityId) : null),
+      universalEntityId: log.universalEntityId,
+      operation: log.operation,
+      sourceSystem: log.sourceSystem,
+      targetSystem: log.targetSystem,
+      status: log.syncStatus,
+      direction: log.syncDirection,
+      errorMessage: log.errorMessage,
+      retryCount: log.retryCount,
+      startedAt: log.syncStartedAt,
+      completedAt: log.syncCompletedAt,
+      gcFilePath: null,
+      metadata: log.metadata,
+      triggeredBy: log.triggeredBy
+    };
+  }
+
+  /**
+   * One page of sync logs matching the query, newest first. `query` holds
+   * optional filters: log ("gnucash" or "universal"), entityType, entityId,
+   * status, direction, sourceSystem, targetSystem, from and to (start date
+   * range), plus limit and the cursor of the previous page. Returns
+   * { entries, nextCursor }, nextCursor being null on the last page.
+   */
+  async querySyncLogs(query = {}) {
+    const errors = this.validateQuery(query);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const limit = query.limit || DEFAULT_PAGE_SIZE;
+    const after = query.cursor ? this.decodeCursor(query.cursor) : null;
+    const orderBy = [{ syncStartedAt: 'desc' }, { id: 'desc' }];
+
+    const gnucashWhere = (!query.log || query.log === 'gnucash') && this.gnucashWhere(query, after);
+    const [gnucashLogs, universalLogs] = await Promise.all([
+      gnucashWhere
+        ? prisma.gnuCashSyncLog.findMany({ where: gnucashWhere, orderBy, take: limit + 1 })
+        : [],
+      !query.log || query.log === 'universal'
+        ? prisma.universalSyncLog.findMany({
+          where: this.universalWhere(query, after),
+          include: { universalEntity: { select: { sourceEntityType: true, sourceEntityId: true } } },
+          orderBy,
+          take: limit + 1
+        })
+        : []
+    ]);
+
+    const entries = [
+      ...gnucashLogs.map(log => this.toGnuCashEntry(log)),
+      ...universalLogs.map(log => this.toUniversalEntry(log))
+    ].sort((a, b) => (b.startedAt - a.startedAt) || (a.id < b.id ? 1 : (a.id > b.id ? -1 : 0)));
+
+    const page = entries.slice(0, limit);
+    return {
+      entries: page,
+      nextCursor: entries.length > limit ? this.encodeCursor(page[page.length - 1]) : null
+    };
+  }
+}
+
+export default SyncLogService;
@@ -0,0 +1,42 @@
+/**
+ * Sync Preview - Field diffs for dry-run syncs
+ *
+ * A preview shows what a sync would write next to what the last sync wrote,
+ * field by field, without writing anything.
+ */
+
+/**
+ * Flatten nested objects into dot-separated paths ({ a: { b: 1 } } becomes
+ * { "a.b": 1 }). Arrays are compared as whole values.
+ */
+const flatten = (value, prefix = '', fields = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+    Object.entries(value).forEach(([key, nested]) => flatten(nested, prefix ? `${prefix}.${key}` : key, fields));
+  } else if (prefix) {
+    fields[prefix] = value;
+  }
+  return fields;
+};
+
+/**
+ * Fields that differ between what was last synced (`before`, null if
+ * nothing was) and what a sync would write (`after`), as a list of
+ * { field, from, to }. Missing fields read as null.
+ */
+export const diffFields = (before, after) => {
+  const from = flatten(before || {});
+  const to = flatten(after || {});
+
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(field => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null))
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+};
+
+/**
+ * Shape a diff for the FieldDiff proto message, JSON-encoding the values
+ */
+export const toFieldDiffMessages = (diff) => diff.map(({ field, from, to }) => ({
+  field,
+  from: JSON.stringify(from),
+  to: JSON.stringify(to)
+}));
@@ -0,0 +1,175 @@
+import { PrismaClient } from '@prisma/client';
+import { GNUCASH_SYSTEM, ValidationError, getEntityModels } from './GnuCashSyncService.js';
+import CronExpression from './CronExpression.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Sync Schedule Service - Cron schedules per entity type and target system
+ *
+ * A schedule syncs the PENDING and FAILED records of one entity type when
+ * its cron expression fires (run by the AutoSyncScheduler). nextRunAt is
+ * kept up to date on every change, and cleared while the schedule is
+ * paused.
+ */
+export class SyncScheduleService {
+  /**
+   * Check a schedule's fields. Returns a list of { field, rule, message }
+   * errors.
+   */
+  validateSchedule({ entityType, targetSystem, cron, timezone, batchSize }) {
+    const errors = [];
+
+    if (!targetSystem) {
+      errors.push({ field: 'targetSystem', rule: 'required', message: 'targetSystem is required' });
+    }
+    if (!entityType) {
+      errors.push({ field: 'entityType', rule: 'required', message: 'entityType is required' });
+    } else if (targetSystem === GNUCASH_SYSTEM && !getEntityModels()[entityType]) {
+      errors.push({
+        field: 'entityType',
+        rule: 'entity_type',
+        message: `entityType for GnuCash must be one of ${Object.keys(getEntityModels()).join(', ')}`
+      });
+    }
+
+    try {
+      if (!new CronExpression(cron, timezone).next()) {
+        errors.push({ field: 'cron', rule: 'never_runs', message: `Cron expression never runs: ${cron}` });
+      }
+    } catch (error) {
+      errors.push({ field: error.message.startsWith('Unknown time zone') ? 'timezone' : 'cron', rule: 'format', message: error.message });
+    }
+
+    if (batchSize !== null && batchSize !== undefined && (!Number.isInteger(batchSize) || batchSize < 1)) {
+      errors.push({ field: 'batchSize', rule: 'minimum', message: 'batchSize must be a positive integer' });
+    }
+    return errors;
+  }
+
+  /**
+   * When a schedule next runs, or null while it is paused
+   */
+  getNextRunAt({ cron, timezone, paused }, after = new Date()) {
+    return paused ? null : new CronExpression(cron, timezone).next(after);
+  }
+
+  async createSchedule({ entityType, targetSystem, cron, timezone = 'UTC', batchSize = null, paused = false }) {
+    const schedule = { entityType, targetSystem, cron, timezone, batchSize, paused };
+    const errors = this.validateSchedule(schedule);
+
+    const existing = await prisma.syncSchedule.findUnique({
+      where: { entityType_targetSystem: { entityType, targetSystem } }
+    });
+    if (existing) {
+      errors.push({
+        field: 'entityType',
+        rule: 'unique',
+        message: `A ${entityType} schedule for ${targetSystem} already exists (${existing.id})`
+      });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    return prisma.syncSchedule.create({
+      data: { ...schedule, nextRunAt: this.getNextRunAt(schedule) }
+    });
+  }
+
+  /**
+   * Change a schedule's cron, timezone or batchSize
+   */
+  async updateSchedule(scheduleId, changes) {
+    const schedule = await this.getSchedule(scheduleId);
+    const updated = { ...schedule, ...changes };
+
+    const errors = this.validateSchedule(updated);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    return prisma.syncSchedule.update({
+      where: { id: scheduleId },
+      data: { ...changes, nextRunAt: this.getNextRunAt(updated) }
+    });
+  }
+
+  /**
+   * Pause or resume a schedule. Resuming does not catch up on runs missed
+   * while paused; the schedule runs next at its next cron time.
+   */
+  async setPaused(scheduleId, paused) {
+    const schedule = await this.getSchedule(scheduleId);
+
+    return prisma.syncSchedule.update({
+      where: { id: scheduleId },
+      data: { paused, nextRunAt: this.getNextRunAt({ ...schedule, paused }) }
+    });
+  }
+
+  async deleteSchedule(scheduleId) {
+    await this.getSchedule(scheduleId);
+    return prisma.syncSchedule.delete({ where: { id: scheduleId } });
+  }
+
+  async getSchedule(scheduleId) {
+    const schedule = await prisma.syncSchedule.findUnique({ where: { id: scheduleId } });
+    if (!schedule) {
+      throw new Error(`Sync schedule not found: ${scheduleId}`);
+    }
+    return schedule;
+  }
+
+  async listSchedules({ targetSystem = null, entityType = null } = {}) {
+    return prisma.syncSchedule.findMany({
+      where: {
+        ...(targetSystem && { targetSystem }),
+        ...(entityType && { entityType })
+      },
+      orderBy: [{ targetSystem: 'asc' }, { entityType: 'asc' }]
+    });
+  }
+
+  /**
+   * Schedules whose next run is due
+   */
+  async listDueSchedules(now = new Date()) {
+    return prisma.syncSchedule.findMany({
+      where: { paused: false, nextRunAt: { lte: now } }
+    });
+  }
+
+  /**
+   * The next `count` run times of a cron expression
+   */
+  previewRuns(cron, timezone = 'UTC', count = 5, after = new Date()) {
+    return new CronExpression(cron, timezone).upcoming(count, after);
+  }
+
+  /**
+   * Record a run and move nextRunAt past it. `summary` is
+   * { total, successful, failed, unchanged }, or { error } if the run failed.
+   */
+  async recordRun(scheduleId, summary, ranAt = new Date()) {
+    // Re-read: the schedule may have been edited, paused or deleted meanwhile
+    const schedule = await prisma.syncSchedule.findUnique({ where: { id: scheduleId } });
+    if (!schedule) return null;
+
+    const lastStatus = summary.error || (summary.total > 0 && summary.failed === summary.total)
+      ? 'failed'
+      : (summary.failed > 0 ? 'partial' : 'succeeded');
+
+    return prisma.syncSchedule.update({
+      where: { id: scheduleId },
+      data: {
+        lastRunAt: ranAt,
+        lastStatus,
+        lastResult: JSON.stringify(summary),
+        nextRunAt: this.getNextRunAt(schedule, ranAt)
+      }
+    });
+  }
+}
+
+export default SyncScheduleService;
@@ -0,0 +1,132 @@
+import { PrismaClient, Prisma } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * Sync Statistics - Time series and duration percentiles of sync logs
+ *
+ * Sync logs are counted in hourly or daily buckets (UTC) by the time their
+ * sync started, per entity type and status. Durations run from
+ * syncStartedAt to syncCompletedAt, so the duration of a queued sync
+ * includes its wait in the queue and its retries. Both are computed in
+ * Postgres, so the logs are never loaded.
+ */
+
+// Bucket sizes in milliseconds
+export const STATISTICS_BUCKETS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Buckets covered when no start date is given: the last day by hour, the last month by day
+const DEFAULT_BUCKET_COUNTS = { hour: 24, day: 30 };
+
+const MAX_BUCKET_COUNT = 1000;
+
+const PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * Start of the bucket a time falls into
+ */
+const bucketStart = (date, bucket) => {
+  const size = STATISTICS_BUCKETS[bucket];
+  return new Date(Math.floor(date.getTime() / size) * size);
+};
+
+/**
+ * The time range of a statistics request. `bucket` is "hour" (the default)
+ * or "day"; `to` defaults to now and `from` to 24 hourly or 30 daily
+ * buckets before it. Returns { range: { bucket, from, to }, errors }, with
+ * errors as a list of { field, rule, message }.
+ */
+export const resolveStatisticsRange = ({ bucket, from, to } = {}, now = new Date()) => {
+  const errors = [];
+  bucket = bucket || 'hour';
+
+  if (!STATISTICS_BUCKETS[bucket]) {
+    errors.push({ field: 'bucket', rule: 'enum', message: `bucket must be one of ${Object.keys(STATISTICS_BUCKETS).join(', ')}` });
+    return { range: null, errors };
+  }
+
+  const toDate = to ? new Date(to) : now;
+  const fromDate = from
+    ? new Date(from)
+    : new Date(bucketStart(toDate, bucket).getTime() - (DEFAULT_BUCKET_COUNTS[bucket] - 1) * STATISTICS_BUCKETS[bucket]);
+
+  [['from', fromDate], ['to', toDate]].forEach(([field, date]) => {
+    if (Number.isNaN(date.getTime())) {
+      errors.push({ field, rule: 'format', message: `${field} must be an ISO 8601 date` });
+    }
+  });
+  if (errors.length === 0 && fromDate >= toDate) {
+    errors.push({ field: 'from', rule: 'range', message: 'from must be before to' });
+  } else if (errors.length === 0 && (toDate - bucketStart(fromDate, bucket)) / STATISTICS_BUCKETS[bucket] > MAX_BUCKET_COUNT) {
+    errors.push({ field: 'from', rule: 'range', message: `The range spans more than ${MAX_BUCKET_COUNT} ${bucket} buckets` });
+  }
+
+  return { range: errors.length === 0 ? { bucket, from: fromDate, to: toDate } : null, errors };
+};
+
+/**
+ * Duration statistics from a row of the durations query, all 0 when no
+ * sync completed
+ */
+const toDurationStats = (row) => {
+  const percentiles = row?.percentiles || [];
+  return {
+    count: row?.count || 0,
+    meanMs: row?.meanMs || 0,
+    ...Object.fromEntries(PERCENTILES.map((p, i) => [`p${p}Ms`, percentiles[i] || 0])),
+    maxMs: row?.maxMs || 0
+  };
+};
+
+/**
+ * Time series and durations of the sync logs in `table` started within a
+ * range (see resolveStatisticsRange), counted and summarized by Postgres.
+ * `entityType` is the SQL expression for a log's entity type, reading the
+ * log as "log" and any tables added by `joins`. Returns { bucket, from,
+ * to, points, durations, durationsByEntityType }; points are { bucketStart,
+ * entityType, status, count } in time order, leaving out empty buckets.
+ */
+export const querySyncTimeSeries = async ({ table, entityType, joins = Prisma.empty }, { bucket, from, to }) => {
+  const logs = Prisma.sql`
+    FROM ${Prisma.raw(`"${table}"`)} AS log ${joins}
+    WHERE log."syncStartedAt" >= ${from} AND log."syncStartedAt" < ${to}`;
+
+  const [points, durations] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT date_trunc(${bucket}, log."syncStartedAt") AS "bucketStart",
+             COALESCE(${entityType}, '') AS "entityType",
+             log."syncStatus"::text AS "status",
+             COUNT(*)::int AS "count"
+      ${logs}
+      GROUP BY 1, 2, 3
+      ORDER BY 1, 2, 3`,
+    // Logs of syncs still running have a null duration, which the aggregates skip
+    prisma.$queryRaw`
+      SELECT "entityType", GROUPING("entityType") = 1 AS "overall",
+             COUNT("durationMs")::int AS "count",
+             AVG("durationMs") AS "meanMs",
+             percentile_cont(${PERCENTILES.map(p => p / 100)}::float8[]) WITHIN GROUP (ORDER BY "durationMs") AS "percentiles",
+             MAX("durationMs") AS "maxMs"
+      FROM (
+        SELECT COALESCE(${entityType}, '') AS "entityType",
+               (EXTRACT(EPOCH FROM log."syncCompletedAt" - log."syncStartedAt") * 1000)::float8 AS "durationMs"
+        ${logs}
+      ) AS durations
+      GROUP BY GROUPING SETS (("entityType"), ())
+      ORDER BY 1`
+  ]);
+
+  return {
+    bucket,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    points: points.map(point => ({ ...point, bucketStart: point.bucketStart.toISOString() })),
+    durations: toDurationStats(durations.find(row => row.overall)),
+    durationsByEntityType: durations
+      .filter(row => !row.overall)
+      .map(row => ({ entityType: row.entityType, durations: toDurationStats(row) }))
+  };
+};
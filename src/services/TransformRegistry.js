@@ -0,0 +1,217 @@
+/**
+ * Transform Registry - Named value transforms shared by the GnuCash
+ * EntityMapper and the UniversalIntegrationService
+ *
+ * A transform spec is one or more transforms separated by `|`, each with
+ * optional `:`-separated arguments, applied left to right:
+ *
+ *   "trim|uppercase|prefix:QB-"
+ *   "regex_replace:\\s+:-|lowercase"
+ *
+ * Use `\|` and `\:` for a literal pipe or colon inside an argument. A spec
+ * may also be an array of names or `{ name, args }` objects. Transforms
+ * registered with an inverse can be reversed (GnuCash → QB), others pass
+ * the value through unchanged on the way back.
+ */
+
+/**
+ * Split on a separator, honouring backslash escapes
+ */
+const splitEscaped = (text, separator) => {
+  const parts = [''];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && (text[i + 1] === separator || text[i + 1] === '\\')) {
+      parts[parts.length - 1] += text[i + 1];
+      i++;
+    } else if (text[i] === separator) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += text[i];
+    }
+  }
+  return parts;
+};
+
+/**
+ * Format a date in UTC with YYYY, MM, DD, HH, mm and ss tokens
+ */
+const formatDate = (date, format) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  const tokens = {
+    YYYY: String(date.getUTCFullYear()),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+};
+
+const toDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Lookup table for `lookup`: a named table from the config's lookupTables,
+ * or the field's own mappingRules
+ */
+const resolveLookupTable = (args, context) => {
+  if (args[0]) {
+    const table = context.lookupTables?.[args[0]];
+    if (!table) {
+      throw new Error(`Unknown lookup table: ${args[0]}`);
+    }
+    return table;
+  }
+  return context.mappingRules || {};
+};
+
+const lookup = {
+  transform: (value, args, context) => {
+    const table = resolveLookupTable(args, context);
+    return value ? (table[value] ?? value) : value;
+  },
+  // Many QB values can map to one GnuCash value; keep the current one if it still fits
+  inverse: (value, args, context) => {
+    const table = resolveLookupTable(args, context);
+    if (!value) return value;
+    if (context.currentValue !== undefined && table[context.currentValue] === value) {
+      return context.currentValue;
+    }
+    return Object.keys(table).find(key => table[key] === value) ?? value;
+  }
+};
+
+export class TransformRegistry {
+  constructor() {
+    this.transforms = new Map();
+  }
+
+  /**
+   * Register a transform. `transform(value, args, context)` returns the new
+   * value; the optional `inverse` has the same signature and undoes it.
+   * Registering an existing name replaces it.
+   */
+  register(name, transform, inverse = null) {
+    if (typeof transform !== 'function') {
+      throw new Error(`Transform ${name} must be a function`);
+    }
+    this.transforms.set(name, { transform, inverse });
+    return this;
+  }
+
+  has(name) {
+    return this.transforms.has(name);
+  }
+
+  names() {
+    return [...this.transforms.keys()];
+  }
+
+  /**
+   * Parse a spec into a list of { name, args } steps
+   */
+  parse(spec) {
+    if (spec === undefined || spec === null || spec === '') {
+      return [];
+    }
+
+    const steps = Array.isArray(spec)
+      ? spec.map(step => typeof step === 'string'
+        ? this.parse(step)
+        : [{ name: step.name, args: (step.args || []).map(String) }]).flat()
+      : splitEscaped(String(spec), '|').map(part => {
+        const [name, ...args] = splitEscaped(part, ':');
+        return { name: name.trim(), args };
+      });
+
+    steps.forEach(({ name }) => {
+      if (!this.transforms.has(name)) {
+        throw new Error(`Unknown transform: ${name}`);
+      }
+    });
+    return steps;
+  }
+
+  /**
+   * Apply a spec to a value. `context` carries mappingRules, lookupTables
+   * and (for inverses) the current QB value.
+   */
+  apply(spec, value, context = {}) {
+    return this.parse(spec).reduce(
+      (current, { name, args }) => this.transforms.get(name).transform(current, args, context),
+      value
+    );
+  }
+
+  /**
+   * Reverse a spec, applying each step's inverse right to left
+   */
+  invert(spec, value, context = {}) {
+    return this.parse(spec).reverse().reduce((current, { name, args }) => {
+      const { inverse } = this.transforms.get(name);
+      return inverse ? inverse(current, args, context) : current;
+    }, value);
+  }
+}
+
+/**
+ * A registry with the built-in transforms
+ */
+export const createTransformRegistry = () => new TransformRegistry()
+  // Type conversions
+  .register('string',
+    value => (value === undefined || value === null ? '' : String(value)),
+    value => (value ? String(value) : null))
+  .register('boolean', value => Boolean(value), value => Boolean(value))
+  .register('boolean_inverse', value => !value, value => !value) // Active in QB = NOT placeholder in GnuCash
+  .register('decimal', value => parseFloat(value) || 0.0, value => parseFloat(value) || 0.0)
+  .register('integer', value => parseInt(value, 10) || 0, value => parseInt(value, 10) || 0)
+  .register('percentage_to_string',
+    value => (value ? `${value}%` : '0%'),
+    value => parseFloat(String(value).replace('%', '')) || 0)
+  .register('address', value => (typeof value === 'object' ? value : { raw: String(value) }))
+  .register('enum', value => value)
+
+  // Strings
+  .register('trim', value => (typeof value === 'string' ? value.trim() : value))
+  .register('uppercase', value => (typeof value === 'string' ? value.toUpperCase() : value))
+  .register('lowercase', value => (typeof value === 'string' ? value.toLowerCase() : value))
+  .register('prefix',
+    (value, [prefix = '']) => `${prefix}${value ?? ''}`,
+    (value, [prefix = '']) => (typeof value === 'string' && value.startsWith(prefix) ? value.slice(prefix.length) : value))
+  .register('suffix',
+    (value, [suffix = '']) => `${value ?? ''}${suffix}`,
+    (value, [suffix = '']) => (typeof value === 'string' && suffix && value.endsWith(suffix) ? value.slice(0, -suffix.length) : value))
+  .register('regex_replace', (value, [pattern, replacement = '', flags = 'g']) =>
+    (value === undefined || value === null ? value : String(value).replace(new RegExp(pattern, flags), replacement)))
+  .register('default', (value, [fallback = '']) =>
+    (value === undefined || value === null || value === '' ? fallback : value))
+
+  // Numbers
+  .register('round', (value, [digits = '2']) => {
+    const factor = 10 ** parseInt(digits, 10);
+    return Math.round((parseFloat(value) || 0) * factor) / factor;
+  })
+  .register('amount_to_cents',
+    value => Math.round((parseFloat(value) || 0) * 100),
+    value => (parseInt(value, 10) || 0) / 100)
+
+  // Dates: ISO 8601 by default, or a YYYY-MM-DD HH:mm:ss style format (UTC)
+  .register('date', (value, [format]) => {
+    const date = toDate(value);
+    if (!date) return null;
+    return format ? formatDate(date, format) : date.toISOString();
+  }, value => toDate(value))
+  .register('timestamp', value => toDate(value)?.toISOString() ?? null, value => toDate(value))
+
+  // Lookup tables
+  .register('lookup', lookup.transform, lookup.inverse)
+  .register('account_type_mapping', lookup.transform, lookup.inverse);
+
+// Shared registry: transforms registered here are available to every mapper
+export const transformRegistry = createTransformRegistry();
+
+export default transformRegistry;
@@ -1,13 +1,25 @@
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, Prisma } from '@prisma/client';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import transformRegistry from './TransformRegistry.js';
+import { DEFAULT_RETRY_POLICY } from './RetryPolicy.js';
+import syncJobQueue from './SyncJobQueue.js';
+import { diffFields } from './SyncPreview.js';
+import { hashContent, isContentUnchanged, saveContentHash } from './ContentHash.js';
+import { querySyncTimeSeries, resolveStatisticsRange } from './SyncStatistics.js';
+import { ValidationError } from './GnuCashSyncService.js';
+import { recordSync } from './Metrics.js';
+import { callerLabel } from './CallerContext.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const prisma = new PrismaClient();
 
+// Job type of queued syncs to the universal model
+export const UNIVERSAL_SYNC_JOB = 'universal.sync';
+
 /**
  * Universal Integration Service
  * 
@@ -30,6 +42,7 @@ export class UniversalIntegrationService {
     try {
       const registryData = await fs.readFile(this.registryPath, 'utf-8');
       this.schemaRegistry = JSON.parse(registryData);
+      this.registerSyncJobHandler();
       console.log('✅ Universal Integration Service initialized');
       console.log(`📊 Loaded ${Object.keys(this.schemaRegistry.systems).length} system integrations`);
       console.log(`🌐 Supporting ${Object.keys(this.schemaRegistry.universalTypes).length} universal entity types`);
@@ -111,43 +124,21 @@ export class UniversalIntegrationService {
   }
 
   /**
-   * Transform value based on type
+   * Transform value based on type, using the shared transform registry
+   * (a type may be a chain such as "trim|lowercase")
    */
   transformValue(value, type) {
-    switch (type) {
-      case 'string':
-        return String(value);
-      
-      case 'boolean':
-        return Boolean(value);
-      
-      case 'decimal':
-        return parseFloat(value) ?? 0.0;
-      
-      case 'integer':
-        return parseInt(value) ?? 0;
-      
-      case 'date':
-      case 'timestamp':
-        if (value instanceof Date) {
-          return value.toISOString();
-        }
-        const date = new Date(value);
-        return !isNaN(date.getTime()) ? date.toISOString() : null;
-      
-      case 'address':
-        return typeof value === 'object' ? value : { raw: String(value) };
-      
-      case 'enum':
-      default:
-        return value;
-    }
+    return transformRegistry.apply(type || 'enum', value, {
+      lookupTables: this.schemaRegistry?.lookupTables
+    });
   }
 
   /**
-   * Create or update a universal entity from source system data
+   * Create or update a universal entity from source system data.
+   * options.syncLogId names the log of a queued sync, which every attempt
+   * reuses; options.retryCount is then the number of earlier attempts.
    */
-  async syncEntityToUniversal(systemName, entityType, sourceEntityId, sourceData) {
+  async syncEntityToUniversal(systemName, entityType, sourceEntityId, sourceData, options = {}) {
     try {
       // Transform to universal format
       const universalData = this.transformToUniversal(systemName, entityType, sourceData);
@@ -177,77 +168,327 @@ export class UniversalIntegrationService {
         }
       });
 
-      // Log the sync operation
-      await prisma.universalSyncLog.create({
-        data: {
-          universalEntityId: universalEntity.id,
-          operation: 'sync',
-          sourceSystem: systemName,
-          targetSystem: 'Universal',
-          syncStatus: 'SYNCED',
-          syncDirection: 'source_to_target',
-          syncCompletedAt: new Date()
-        }
-      });
+      await saveContentHash(
+        this.contentHashKey(systemName, entityType, sourceEntityId),
+        hashContent(this.syncContent(universalData))
+      );
+
+      // Log the sync operation (completing the queued sync's log)
+      const logData = {
+        universalEntityId: universalEntity.id,
+        operation: 'sync',
+        sourceSystem: systemName,
+        targetSystem: 'Universal',
+        syncStatus: 'SYNCED',
+        syncDirection: 'source_to_target',
+        errorMessage: null,
+        syncCompletedAt: new Date()
+      };
+      if (options.syncLogId) {
+        await prisma.universalSyncLog.update({
+          where: { id: options.syncLogId },
+          data: { ...logData, retryCount: options.retryCount || 0 }
+        });
+      } else {
+        await prisma.universalSyncLog.create({ data: { ...logData, triggeredBy: callerLabel() } });
+      }
 
+      recordSync(entityType, 'Universal', 'success');
       console.log(`✅ Synced ${systemName} ${entityType} ${sourceEntityId} to universal entity ${universalEntity.id}`);
       return universalEntity;
 
     } catch (error) {
+      recordSync(entityType, 'Universal', 'failure');
       console.error(`❌ Failed to sync entity to universal:`, error);
       
       // Log the failed sync
-      await prisma.universalSyncLog.create({
-        data: {
-          operation: 'sync',
-          sourceSystem: systemName,
-          targetSystem: 'Universal',
-          syncStatus: 'FAILED',
-          syncDirection: 'source_to_target',
-          errorMessage: error.message,
-          metadata: JSON.stringify({ entityType, sourceEntityId })
-        }
-      }).catch(() => {});
-      
+      const failedLog = {
+        syncStatus: 'FAILED',
+        errorMessage: error.message,
+        syncCompletedAt: new Date()
+      };
+      if (options.syncLogId) {
+        await prisma.universalSyncLog.update({
+          where: { id: options.syncLogId },
+          data: { ...failedLog, retryCount: options.retryCount || 0 }
+        }).catch(() => null);
+      } else {
+        await prisma.universalSyncLog.create({
+          data: {
+            ...failedLog,
+            operation: 'sync',
+            sourceSystem: systemName,
+            targetSystem: 'Universal',
+            syncDirection: 'source_to_target',
+            metadata: JSON.stringify({ entityType, sourceEntityId }),
+            triggeredBy: callerLabel()
+          }
+        }).catch(() => null);
+      }
+
       throw error;
     }
   }
 
   /**
-   * Map universal entity to target system format
+   * Preview syncEntityToUniversal without writing the universal entity or a
+   * sync log. Returns the universal payload, the validation errors (source
+   * values the field types cannot convert), whether the entity would be
+   * created or updated, and a field-by-field diff against the entity as last
+   * synced. Throws if the system or entity type is unknown.
    */
-  async mapToTargetSystem(universalEntityId, targetSystem, targetEntityType) {
+  async previewSync(systemName, entityType, sourceEntityId, sourceData) {
+    this.getUniversalType(systemName, entityType);
+
+    const preview = {
+      sourceSystem: systemName,
+      entityType,
+      sourceEntityId: String(sourceEntityId),
+      valid: true,
+      validationErrors: [],
+      operation: null,
+      universalType: null,
+      payload: null,
+      diff: []
+    };
+
+    let universalData;
     try {
-      // Get the universal entity
-      const universalEntity = await prisma.universalEntity.findUnique({
-        where: { id: universalEntityId }
-      });
+      universalData = this.transformToUniversal(systemName, entityType, sourceData);
+    } catch (error) {
+      preview.valid = false;
+      preview.validationErrors = [{ field: 'sourceData', rule: 'transform', message: error.message }];
+      return preview;
+    }
 
-      if (!universalEntity) {
-        throw new Error(`Universal entity ${universalEntityId} not found`);
+    const existing = await prisma.universalEntity.findUnique({
+      where: {
+        sourceSystem_sourceEntityType_sourceEntityId: {
+          sourceSystem: systemName,
+          sourceEntityType: entityType,
+          sourceEntityId: String(sourceEntityId)
+        }
       }
+    });
 
-      // Get target system configuration
-      const system = this.schemaRegistry.systems[targetSystem];
-      if (!system || !system.entities[targetEntityType]) {
-        throw new Error(`Entity ${targetEntityType} not found in system ${targetSystem}`);
-      }
+    const fieldsOf = (entity) => ({
+      ...JSON.parse(entity.coreData),
+      ...(entity.extendedData ? JSON.parse(entity.extendedData) : {})
+    });
+    preview.operation = existing ? 'update' : 'create';
+    preview.universalType = universalData.universalType;
+    preview.payload = {
+      coreData: JSON.parse(universalData.coreData),
+      extendedData: universalData.extendedData ? JSON.parse(universalData.extendedData) : {}
+    };
+    preview.diff = diffFields(existing && fieldsOf(existing), fieldsOf(universalData));
+    return preview;
+  }
 
-      const entityConfig = system.entities[targetEntityType];
-      const coreData = JSON.parse(universalEntity.coreData);
-      const extendedData = universalEntity.extendedData ? JSON.parse(universalEntity.extendedData) : {};
-      const universalData = { ...coreData, ...extendedData };
+  /**
+   * Everything a sync writes to the universal entity apart from the raw
+   * source data, hashed after each sync so that unchanged entities can be
+   * skipped
+   */
+  syncContent(universalData) {
+    const { universalType, coreData, extendedData } = universalData;
+    return { universalType, coreData, extendedData };
+  }
 
-      // Transform from universal to target format
-      const targetData = {};
-      Object.entries(entityConfig.fields).forEach(([targetField, fieldConfig]) => {
-        const universalField = fieldConfig.universal;
-        const value = universalData[universalField];
-        
-        if (value !== undefined && value !== null) {
-          this.setNestedValue(targetData, targetField, value);
+  /**
+   * Content hash key of a source entity
+   */
+  contentHashKey(systemName, entityType, sourceEntityId) {
+    return { targetSystem: 'Universal', sourceSystem: systemName, entityType, entityId: String(sourceEntityId) };
+  }
+
+  /**
+   * Skip the sync of a source entity whose universal data hashes the same as
+   * at its last sync. A universal entity that was not marked SYNCED is
+   * marked so. Returns the universal entity, or null if the entity has to
+   * be synced.
+   */
+  async skipUnchanged(systemName, entityType, sourceEntityId, sourceData) {
+    let universalData;
+    try {
+      universalData = this.transformToUniversal(systemName, entityType, sourceData);
+    } catch (error) {
+      // Let the sync report it
+      return null;
+    }
+
+    const key = this.contentHashKey(systemName, entityType, sourceEntityId);
+    if (!(await isContentUnchanged(key, hashContent(this.syncContent(universalData))))) {
+      return null;
+    }
+
+    const entity = await prisma.universalEntity.findUnique({
+      where: {
+        sourceSystem_sourceEntityType_sourceEntityId: {
+          sourceSystem: systemName,
+          sourceEntityType: entityType,
+          sourceEntityId: String(sourceEntityId)
         }
+      }
+    });
+    if (!entity) {
+      return null;
+    }
+
+    recordSync(entityType, 'Universal', 'unchanged');
+    return entity.syncStatus === 'SYNCED'
+      ? entity
+      : prisma.universalEntity.update({
+        where: { id: entity.id },
+        data: { syncStatus: 'SYNCED', syncError: null }
       });
+  }
+
+  /**
+   * Run queued universal syncs on this service
+   */
+  registerSyncJobHandler() {
+    syncJobQueue.registerHandler(UNIVERSAL_SYNC_JOB, {
+      run: ({ systemName, entityType, sourceEntityId, sourceData, syncLogId }, job) =>
+        this.syncEntityToUniversal(systemName, entityType, sourceEntityId, sourceData, {
+          syncLogId,
+          retryCount: job.attempts - 1
+        }),
+      onExhausted: ({ systemName, entityType, sourceEntityId, syncLogId }, error, job) =>
+        this.markSyncFailedPermanently(systemName, entityType, sourceEntityId, syncLogId, error, job.attempts - 1),
+      configVersion: () => ({ version: this.schemaRegistry?.version })
+    });
+  }
+
+  /**
+   * Queue a sync to the universal model. A sync worker runs it, retrying
+   * failures with exponential backoff up to the system's
+   * SystemIntegration.retryAttempts (3 if the system has no row). Returns
+   * the job.
+   */
+  async enqueueSync(systemName, entityType, sourceEntityId, sourceData) {
+    const integration = await prisma.systemIntegration.findUnique({ where: { systemName } }).catch(() => null);
+
+    const syncLog = await prisma.universalSyncLog.create({
+      data: {
+        operation: 'sync',
+        sourceSystem: systemName,
+        targetSystem: 'Universal',
+        syncStatus: 'PENDING',
+        syncDirection: 'source_to_target',
+        metadata: JSON.stringify({ entityType, sourceEntityId }),
+        triggeredBy: callerLabel()
+      }
+    });
+
+    const retryAttempts = integration?.retryAttempts ?? DEFAULT_RETRY_POLICY.retryAttempts;
+    return syncJobQueue.enqueue(UNIVERSAL_SYNC_JOB, {
+      systemName,
+      entityType,
+      sourceEntityId,
+      sourceData,
+      syncLogId: syncLog.id
+    }, { maxAttempts: retryAttempts + 1 });
+  }
+
+  /**
+   * Queue a sync and wait for its first attempt. Returns { jobId, entity }
+   * with the universal entity, or { jobId, queued: true, error } when the
+   * job is waiting for a retry (or for a worker, if the wait timed out).
+   * Throws SyncJobError if the job failed for good. Unchanged entities are
+   * skipped without queueing a job: { jobId: null, entity, unchanged: true }.
+   */
+  async syncViaQueue(systemName, entityType, sourceEntityId, sourceData) {
+    const unchangedEntity = await this.skipUnchanged(systemName, entityType, sourceEntityId, sourceData);
+    if (unchangedEntity) {
+      return { jobId: null, entity: unchangedEntity, unchanged: true };
+    }
+
+    const { id: jobId } = await this.enqueueSync(systemName, entityType, sourceEntityId, sourceData);
+    const { job, result } = await syncJobQueue.awaitResult(jobId);
+
+    return result
+      ? { jobId, entity: result }
+      : { jobId, queued: true, error: job.lastError };
+  }
+
+  /**
+   * Move a sync whose retries ran out to the terminal FAILED_PERMANENTLY state
+   */
+  async markSyncFailedPermanently(systemName, entityType, sourceEntityId, syncLogId, error, retries) {
+    if (syncLogId) {
+      await prisma.universalSyncLog.update({
+        where: { id: syncLogId },
+        data: { syncStatus: 'FAILED_PERMANENTLY' }
+      });
+    }
+
+    await prisma.universalEntity.updateMany({
+      where: { sourceSystem: systemName, sourceEntityType: entityType, sourceEntityId: String(sourceEntityId) },
+      data: { syncStatus: 'FAILED_PERMANENTLY', syncError: error.message }
+    });
+
+    console.error(`❌ Giving up on ${systemName} ${entityType} ${sourceEntityId} after ${retries} retries:`, error.message);
+  }
+
+  /**
+   * Syncs that ended in FAILED_PERMANENTLY, newest first
+   */
+  async listFailedSyncs({ sourceSystem = null, limit = 100 } = {}) {
+    return prisma.universalSyncLog.findMany({
+      where: {
+        syncStatus: 'FAILED_PERMANENTLY',
+        ...(sourceSystem && { sourceSystem })
+      },
+      orderBy: { syncCompletedAt: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Build the target system payload of a universal entity
+   */
+  async buildTargetData(universalEntityId, targetSystem, targetEntityType) {
+    // Get the universal entity
+    const universalEntity = await prisma.universalEntity.findUnique({
+      where: { id: universalEntityId }
+    });
+
+    if (!universalEntity) {
+      throw new Error(`Universal entity ${universalEntityId} not found`);
+    }
+
+    // Get target system configuration
+    const system = this.schemaRegistry.systems[targetSystem];
+    if (!system || !system.entities[targetEntityType]) {
+      throw new Error(`Entity ${targetEntityType} not found in system ${targetSystem}`);
+    }
+
+    const entityConfig = system.entities[targetEntityType];
+    const coreData = JSON.parse(universalEntity.coreData);
+    const extendedData = universalEntity.extendedData ? JSON.parse(universalEntity.extendedData) : {};
+    const universalData = { ...coreData, ...extendedData };
+
+    // Transform from universal to target format
+    const targetData = {};
+    Object.entries(entityConfig.fields).forEach(([targetField, fieldConfig]) => {
+      const universalField = fieldConfig.universal;
+      const value = universalData[universalField];
+      
+      if (value !== undefined && value !== null) {
+        this.setNestedValue(targetData, targetField, value);
+      }
+    });
+
+    return targetData;
+  }
+
+  /**
+   * Map universal entity to target system format
+   */
+  async mapToTargetSystem(universalEntityId, targetSystem, targetEntityType) {
+    try {
+      const targetData = await this.buildTargetData(universalEntityId, targetSystem, targetEntityType);
 
       // Create or update entity mapping
       const mapping = await prisma.entityMapping.upsert({
@@ -281,6 +522,31 @@ export class UniversalIntegrationService {
     }
   }
 
+  /**
+   * Preview mapToTargetSystem without writing the entity mapping: the target
+   * payload, whether the mapping would be created or updated, and a
+   * field-by-field diff against the payload last mapped
+   */
+  async previewMapping(universalEntityId, targetSystem, targetEntityType) {
+    const targetData = await this.buildTargetData(universalEntityId, targetSystem, targetEntityType);
+    const existing = await prisma.entityMapping.findUnique({
+      where: {
+        universalEntityId_targetSystem_targetEntityType: {
+          universalEntityId,
+          targetSystem,
+          targetEntityType
+        }
+      }
+    });
+    const lastMapped = existing?.mappingConfig ? JSON.parse(existing.mappingConfig) : null;
+
+    return {
+      operation: existing ? 'update' : 'create',
+      targetData,
+      diff: diffFields(lastMapped, targetData)
+    };
+  }
+
   /**
    * Set nested value in object using dot notation
    */
@@ -344,10 +610,18 @@ export class UniversalIntegrationService {
   }
 
   /**
-   * Get sync statistics for the universal integration
+   * Get integration statistics: entity, mapping and sync log counts, system
+   * health, and the time series and durations of the syncs started within
+   * `range` (see resolveStatisticsRange). A sync's entity type is its
+   * source entity type.
    */
-  async getStatistics() {
-    const [entities, mappings, syncLogs, systems] = await Promise.all([
+  async getStatistics(range = {}) {
+    const { range: resolved, errors } = resolveStatisticsRange(range);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const [entities, mappings, syncLogs, systems, timeSeries] = await Promise.all([
       prisma.universalEntity.groupBy({
         by: ['universalType', 'sourceSystem', 'syncStatus'],
         _count: true
@@ -367,7 +641,13 @@ export class UniversalIntegrationService {
           healthStatus: true,
           lastSyncAt: true
         }
-      })
+      }),
+      // Syncs that never created a universal entity recorded its type in the log's metadata
+      querySyncTimeSeries({
+        table: 'UniversalSyncLog',
+        joins: Prisma.sql`LEFT JOIN "UniversalEntity" AS entity ON entity."id" = log."universalEntityId"`,
+        entityType: Prisma.sql`COALESCE(entity."sourceEntityType", log."metadata"::jsonb->>'entityType')`
+      }, resolved)
     ]);
 
     const totalEntities = await prisma.universalEntity.count();
@@ -381,13 +661,25 @@ export class UniversalIntegrationService {
         totalSyncOperations: totalSyncs,
         enabledSystems: systems.filter(s => s.enabled).length
       },
-      entitiesByType: entities,
-      mappingsBySystem: mappings,
-      syncHistory: syncLogs,
-      systemHealth: systems
+      entitiesByType: entities.map(c => ({
+        universalType: c.universalType,
+        sourceSystem: c.sourceSystem,
+        status: c.syncStatus,
+        count: c._count
+      })),
+      mappingsBySystem: mappings.map(c => ({ targetSystem: c.targetSystem, status: c.syncStatus, count: c._count })),
+      syncHistory: syncLogs.map(c => ({
+        sourceSystem: c.sourceSystem,
+        targetSystem: c.targetSystem,
+        status: c.syncStatus,
+        count: c._count
+      })),
+      systemHealth: systems,
+      timeSeries
     };
   }
 
+
   /**
    * Validate if a system integration is supported
    */